@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Command line maintenance tasks for the Neo4j memory graph
+ *
+ * Usage: mcp-neo4j-memory-cli <command> [--namespace name] [--option value ...]
+ * --namespace selects the namespace for commands that work on one, defaulting to MEMORY_NAMESPACE
+ */
+import 'dotenv/config';
+import {readFile, writeFile} from 'fs/promises';
+import {Neo4jMemory} from './neo4j-memory.js';
+import {createNeo4jDriver, getDatabaseName} from './utils/neo4j-connection.js';
+import {applySchemaMigrations} from './utils/schema-migrations.js';
+import {createEmbeddingProvider} from './tools/embeddings.js';
+import {exportGraph} from './tools/graph-export.js';
+import {importGraph} from './tools/graph-import.js';
+import {handleCreateSnapshot, handleListSnapshots, handleRestoreSnapshot} from './tools/snapshots.js';
+import {pruneMemories} from './tools/memory-decay.js';
+
+const commands = {
+    'migrate-schema': {
+        description: 'Create or upgrade the constraints and indexes of the memory graph',
+        usage: 'migrate-schema [--check]',
+        run: async (memory, options) => {
+            const report = await applySchemaMigrations(memory.neo4jDriver, memory.database, {
+                apply: !options.check,
+                embeddingDimensions: memory.embeddings?.dimensions
+            });
+            for (const {version, description} of report.applied) {
+                console.log(`Applied migration ${version}: ${description}`);
+            }
+            if (report.pending.length > 0) {
+                console.log(`Schema is at version ${report.version}, pending migrations: ${report.pending.join(', ')}`);
+            } else {
+                console.log(`Schema is at version ${report.version}`);
+            }
+        }
+    },
+    'reindex-embeddings': {
+        description: 'Recreate the vector indexes for the configured embedding provider and embed every entity again',
+        usage: 'reindex-embeddings [--batch-size 100]',
+        run: async (memory, options) => {
+            const report = await memory.reindexEmbeddings(Number(options['batch-size'] || 100));
+            console.log(`Embedded ${report.entities} entities with ${report.model} (${report.dimensions} dimensions)`);
+        }
+    },
+    'export-graph': {
+        description: 'Export the memory graph of the namespace as JSON Lines, GraphML, a Cypher script or RDF Turtle',
+        usage: 'export-graph [--format jsonl|graphml|cypher|turtle] [--output file] [--entity-types A,B] [--root name] [--depth 2] [--include-ontology]',
+        run: async (memory, options) => {
+            const {content, counts} = await exportGraph(memory, {
+                format: options.format || 'jsonl',
+                entityTypes: options['entity-types'] ? options['entity-types'].split(',').map((type) => type.trim()) : [],
+                root: options.root || null,
+                depth: Number(options.depth || 2),
+                includeOntology: options['include-ontology'] === true
+            });
+            if (options.output) {
+                await writeFile(options.output, content, 'utf8');
+                console.error(`Exported ${counts.entities} entities and ${counts.relations} relations to ${options.output}`);
+            } else {
+                process.stdout.write(content);
+            }
+        }
+    },
+    'import-graph': {
+        description: 'Import entities and relations from a server-memory memory.json or an export-graph jsonl file',
+        usage: 'import-graph --input file [--policy merge|replace|skip] [--batch-size 100] [--report file]',
+        run: async (memory, options) => {
+            if (!options.input) {
+                throw new Error('Missing --input file');
+            }
+            const report = await importGraph(memory, await readFile(options.input, 'utf8'), {
+                policy: options.policy || 'merge',
+                batchSize: Number(options['batch-size'] || 100)
+            });
+            for (const [key, value] of Object.entries(report.summary)) {
+                console.log(`${key}: ${value}`);
+            }
+            for (const {line, message} of report.errors || []) {
+                console.log(`  Line ${line}: ${message}`);
+            }
+            if (options.report) {
+                await writeFile(options.report, JSON.stringify(report, null, 2), 'utf8');
+                console.log(`Full report written to ${options.report}`);
+            }
+        }
+    },
+    'create-snapshot': {
+        description: 'Save a named snapshot of the memory graph of the namespace',
+        usage: 'create-snapshot --name name [--include-ontology] [--store database|directory]',
+        run: async (memory, options) => {
+            const {store, snapshot} = await handleCreateSnapshot(memory, {
+                name: options.name,
+                includeOntology: options['include-ontology'] === true,
+                store: options.store
+            });
+            console.log(`Saved snapshot ${snapshot.name} with ${snapshot.entities} entities and ${snapshot.relations} relations to the ${store} store`);
+        }
+    },
+    'list-snapshots': {
+        description: 'List the snapshots of the namespace, newest first',
+        usage: 'list-snapshots [--store database|directory]',
+        run: async (memory, options) => {
+            const {snapshots} = await handleListSnapshots(memory, {store: options.store});
+            for (const snapshot of snapshots) {
+                console.log(`${snapshot.name}  ${snapshot.createdAt}  ${snapshot.entities} entities, ${snapshot.relations} relations${snapshot.includeOntology ? ', ontology' : ''}`);
+            }
+        }
+    },
+    'restore-snapshot': {
+        description: 'Replace the memory graph of the namespace with a snapshot',
+        usage: 'restore-snapshot --name name [--store database|directory] [--skip-ontology]',
+        run: async (memory, options) => {
+            const result = await handleRestoreSnapshot(memory, {
+                name: options.name,
+                store: options.store,
+                includeOntology: options['skip-ontology'] !== true
+            });
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+            console.log(`${result.message}: ${result.entities} entities, ${result.relations} relations`);
+        }
+    },
+    'prune-memories': {
+        description: 'List the long-unused, low-importance entities of the namespace, or move them to the trash with --apply',
+        usage: 'prune-memories [--apply] [--max-importance 0.25] [--min-idle-days 90] [--half-life-days 30] [--entity-types A,B] [--limit 100]',
+        run: async (memory, options) => {
+            const report = await pruneMemories(memory, {
+                dryRun: options.apply !== true,
+                policy: {
+                    maxImportance: options['max-importance'] !== undefined ? Number(options['max-importance']) : undefined,
+                    minIdleDays: options['min-idle-days'] !== undefined ? Number(options['min-idle-days']) : undefined,
+                    halfLifeDays: options['half-life-days'] !== undefined ? Number(options['half-life-days']) : undefined
+                },
+                entityTypes: options['entity-types'] ? options['entity-types'].split(',').map((type) => type.trim()) : [],
+                limit: Number(options.limit || 100)
+            });
+            for (const {name, entityType, importance, idleDays, accessCount} of report.candidates) {
+                console.log(`${name} (${entityType})  importance ${importance}, unused for ${idleDays} days, read ${accessCount} times`);
+            }
+            console.log(report.dryRun
+                ? `${report.candidates.length}${report.hasMore ? '+' : ''} entities would be moved to the trash, run with --apply to prune them`
+                : `Moved ${report.pruned ?? 0} entities to the trash`);
+        }
+    },
+    'migrate-observations': {
+        description: 'Convert observations stored as an array on :Memory nodes into :Observation nodes',
+        usage: 'migrate-observations [--batch-size 500]',
+        run: async (memory, options) => {
+            const migrated = await memory.migrateArrayObservations(Number(options['batch-size'] || 500));
+            console.log(`Migrated the observations of ${migrated} entities`);
+        }
+    },
+    'migrate-relations': {
+        description: 'Convert :Memory relationships with a relationType property into native relationship types',
+        usage: 'migrate-relations [--batch-size 1000]',
+        run: async (memory, options) => {
+            const report = await memory.migrateRelationTypes(Number(options['batch-size'] || 1000));
+            console.log(`Migrated ${report.migrated} relations`);
+            for (const [relationType, type] of Object.entries(report.types)) {
+                console.log(`  '${relationType}' -> ${type}`);
+            }
+            for (const {relationType, reason} of report.skipped) {
+                console.log(`  Skipped '${relationType}': ${reason}`);
+            }
+        }
+    }
+};
+
+/**
+ * Splits the command line into the command name and its --option values
+ * A flag without a value is set to true
+ * @param {string[]} argv - The arguments after the script name
+ * @returns {Object} - {command, options}
+ */
+function parseArguments(argv) {
+    const [command, ...rest] = argv;
+    const options = {};
+    for (let i = 0; i < rest.length; i++) {
+        if (!rest[i].startsWith('--')) {
+            throw new Error(`Unexpected argument: ${rest[i]}`);
+        }
+        const key = rest[i].slice(2);
+        if (i + 1 < rest.length && !rest[i + 1].startsWith('--')) {
+            options[key] = rest[++i];
+        } else {
+            options[key] = true;
+        }
+    }
+    return {command, options};
+}
+
+function printUsage() {
+    console.log('Usage: mcp-neo4j-memory-cli <command> [--namespace name] [--option value ...]\n\nCommands:');
+    for (const [name, command] of Object.entries(commands)) {
+        console.log(`  ${name.padEnd(24)} ${command.description}`);
+        console.log(`  ${''.padEnd(24)} ${command.usage}`);
+    }
+}
+
+async function main() {
+    const {command, options} = parseArguments(process.argv.slice(2));
+    if (!command || command === 'help' || options.help) {
+        printUsage();
+        return;
+    }
+    if (!commands[command]) {
+        printUsage();
+        throw new Error(`Unknown command: ${command}`);
+    }
+
+    const neo4jDriver = createNeo4jDriver();
+    try {
+        const memory = new Neo4jMemory(neo4jDriver, getDatabaseName(), {
+            embeddings: createEmbeddingProvider(),
+            namespace: options.namespace || process.env.MEMORY_NAMESPACE || undefined
+        });
+        await commands[command].run(memory, options);
+    } finally {
+        await neo4jDriver.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
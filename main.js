@@ -6,31 +6,18 @@ import {
     CallToolRequestSchema,
     ListToolsRequestSchema
 } from '@modelcontextprotocol/sdk/types.js';
-import {driver as connectToNeo4j, auth as Neo4jAuth} from 'neo4j-driver';
 import {Neo4jMemory} from './neo4j-memory.js';
+import {createNeo4jDriver, getDatabaseName} from './utils/neo4j-connection.js';
+import {applySchemaMigrations} from './utils/schema-migrations.js';
+import {createEmbeddingProvider} from './tools/embeddings.js';
+import {createSummarizer} from './tools/summaries.js';
 import * as debugLogger from './utils/debug-logger.js';
 
 // Get the database name from environment variables
-const databaseName = process.env.NEO4J_DATABASE?.trim() || 'neo4j';
+const databaseName = getDatabaseName();
 console.error(`Configured to use database: '${databaseName}'`);
 
-// Check if Neo4j environment variables are defined
-if (!process.env.NEO4J_URI) {
-    console.error('Error: NEO4J_URI environment variable is not defined');
-    console.error('Please set NEO4J_URI in your environment or create a .env file');
-    process.exit(1);
-}
-
-if (!process.env.NEO4J_USER || !process.env.NEO4J_PASSWORD) {
-    console.error('Error: NEO4J_USER or NEO4J_PASSWORD environment variables are not defined');
-    console.error('Please set both in your environment or create a .env file');
-    process.exit(1);
-}
-
-const neo4jDriver = connectToNeo4j(
-    process.env.NEO4J_URI,
-    Neo4jAuth.basic(process.env.NEO4J_USER, process.env.NEO4J_PASSWORD)
-);
+const neo4jDriver = createNeo4jDriver();
 
 await debugLogger.debugLog('Neo4jMemory', 'Initialized Neo4j driver', process.env);
 
@@ -66,10 +53,153 @@ async function validateDatabaseSupport() {
     }
 }
 
-// Initialize memory with database support validation
+// Initialize memory with database support validation and an up to date schema
 async function initializeMemory() {
     await validateDatabaseSupport();
-    return new Neo4jMemory(neo4jDriver, databaseName);
+    const embeddings = createEmbeddingProvider();
+    console.error(embeddings ? `Using embedding provider: ${embeddings.id}` : 'Embeddings are disabled');
+    const schema = await applySchemaMigrations(neo4jDriver, databaseName, {
+        apply: process.env.MEMORY_SCHEMA_AUTO_MIGRATE !== 'false',
+        embeddingDimensions: embeddings?.dimensions
+    });
+    if (schema.pending.length > 0) {
+        console.error(`Warning: schema migrations ${schema.pending.join(', ')} are pending, run 'mcp-neo4j-memory-cli migrate-schema'`);
+    } else {
+        console.error(`Database schema is at version ${schema.version}`);
+    }
+    return new Neo4jMemory(neo4jDriver, databaseName, {
+        softDelete: process.env.MEMORY_SOFT_DELETE !== 'false',
+        trashRetentionDays: Number(process.env.MEMORY_TRASH_RETENTION_DAYS || 30),
+        embeddings,
+        namespace: process.env.MEMORY_NAMESPACE || undefined,
+        similarity: {
+            method: process.env.MEMORY_SIMILARITY_CHECK || undefined,
+            threshold: process.env.MEMORY_SIMILARITY_THRESHOLD ? Number(process.env.MEMORY_SIMILARITY_THRESHOLD) : undefined,
+            action: process.env.MEMORY_SIMILARITY_ACTION || undefined
+        },
+        typeValidation: process.env.MEMORY_TYPE_VALIDATION || undefined,
+        relationValidation: process.env.MEMORY_RELATION_VALIDATION || undefined,
+        trackAccess: process.env.MEMORY_TRACK_ACCESS !== 'false',
+        summarizer: createSummarizer(),
+        summaryRefreshThreshold: Number(process.env.MEMORY_SUMMARY_REFRESH_THRESHOLD || 10)
+    });
+}
+
+// An observation is either its plain content or an object carrying provenance
+const OBSERVATION_INPUT_SCHEMA = {
+    anyOf: [
+        {type: 'string'},
+        {
+            type: 'object',
+            properties: {
+                content: {
+                    type: 'string',
+                    description: 'The observation content'
+                },
+                source: {
+                    type: 'string',
+                    description: 'Optional: Where the observation came from'
+                },
+                confidence: {
+                    type: 'number',
+                    minimum: 0,
+                    maximum: 1,
+                    description: 'Optional: How reliable the observation is, from 0 to 1'
+                },
+                tags: {
+                    type: 'array',
+                    items: {type: 'string'},
+                    description: 'Optional: Tags for the observation'
+                },
+                validFrom: {
+                    type: 'string',
+                    description: 'Optional: When the observation started to be true (ISO 8601), defaults to now'
+                },
+                validTo: {
+                    type: 'string',
+                    description: 'Optional: When the observation stopped being true (ISO 8601)'
+                }
+            },
+            required: ['content']
+        }
+    ]
+};
+
+// Looks at the memory as it was believed at a point in time
+const AS_OF_SCHEMA = {
+    type: 'string',
+    description: 'Optional: Return the graph as it was believed at this time (ISO 8601), leaving out facts recorded later and including facts superseded or deleted since'
+};
+
+// Returns the summary written by summarize_entity in place of the observations it covers
+const SUMMARY_ONLY_SCHEMA = {
+    type: 'boolean',
+    description: 'Optional: For entities with a summary, return the summary and only the observations added since instead of all observations (default false)'
+};
+
+// Optional properties describing a relation, values must be strings, numbers, booleans or arrays of one of them
+const RELATION_PROPERTIES_SCHEMA = {
+    type: 'object',
+    description: 'Optional: Properties of the relation, such as weight, confidence, source, since and until',
+    properties: {
+        weight: {
+            type: 'number',
+            description: 'How strong the relation is'
+        },
+        confidence: {
+            type: 'number',
+            minimum: 0,
+            maximum: 1,
+            description: 'How reliable the relation is, from 0 to 1'
+        },
+        source: {
+            type: 'string',
+            description: 'Where the relation came from'
+        },
+        since: {
+            type: 'string',
+            description: 'When the relation started to hold (ISO 8601 date)'
+        },
+        until: {
+            type: 'string',
+            description: 'When the relation stopped holding (ISO 8601 date)'
+        }
+    },
+    additionalProperties: {
+        anyOf: [
+            {type: 'string'},
+            {type: 'number'},
+            {type: 'boolean'},
+            {type: 'array', items: {anyOf: [{type: 'string'}, {type: 'number'}, {type: 'boolean'}]}}
+        ]
+    }
+};
+
+// Tools that are not scoped to a namespace, every other tool accepts the namespace argument
+const UNSCOPED_TOOLS = ['create_base_ontology', 'safe_cypher_query', 'list_namespaces'];
+
+/**
+ * Adds the optional namespace argument to the input schema of a memory tool
+ * @param {Object} tool - The tool definition
+ * @returns {Object} - The tool definition accepting a namespace
+ */
+function withNamespaceArgument(tool) {
+    if (UNSCOPED_TOOLS.includes(tool.name)) {
+        return tool;
+    }
+    return {
+        ...tool,
+        inputSchema: {
+            ...tool.inputSchema,
+            properties: {
+                ...tool.inputSchema.properties,
+                namespace: {
+                    type: 'string',
+                    description: 'Optional: The namespace to use instead of the server\'s configured namespace (MEMORY_NAMESPACE)'
+                }
+            }
+        }
+    };
 }
 
 let knowledgeGraphMemory;
@@ -109,6 +239,77 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                     required: ['subject']
                 }
             },
+            {
+                name: 'classify_entities',
+                description: 'Link entities to the (OE): ontology classes they are instances of with INSTANCE_OF relationships. An entity is linked to every class named like its entityType (ignoring case and punctuation); with method "llm" the entities left over are classified by the LLM. By default every entity not linked to a class yet is classified.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        entityNames: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'Optional: The entities to classify (default every entity without a class)'
+                        },
+                        ontology: {
+                            type: 'string',
+                            description: 'Optional: Only use the classes of this Base Ontology'
+                        },
+                        method: {
+                            type: 'string',
+                            enum: ['exact', 'llm'],
+                            description: 'Optional: exact matches entity types with class names, llm also asks the LLM about the entities that match no class (default exact)'
+                        },
+                        minConfidence: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 1,
+                            description: 'Optional: Smallest confidence of an LLM classification that is kept (default 0.7)'
+                        },
+                        reclassify: {
+                            type: 'boolean',
+                            description: 'Optional: Also classify entities already linked to classes, replacing their links (default false)'
+                        },
+                        dryRun: {
+                            type: 'boolean',
+                            description: 'Optional: Only return the classifications (default false)'
+                        },
+                        limit: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 1000,
+                            description: 'Optional: Maximum number of entities to classify (default 100)'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'find_instances',
+                description: 'Find the entities that are instances of an ontology class (see classify_entities), including the instances of its subclasses through PARENT_OF and CHILD_OF',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        className: {
+                            type: 'string',
+                            description: 'The class, with or without the (OE): prefix'
+                        },
+                        ontology: {
+                            type: 'string',
+                            description: 'Optional: Only use the class of this Base Ontology'
+                        },
+                        includeSubclasses: {
+                            type: 'boolean',
+                            description: 'Optional: Also find the instances of subclasses (default true)'
+                        },
+                        limit: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 1000,
+                            description: 'Optional: Maximum number of entities to return (default 100)'
+                        }
+                    },
+                    required: ['className']
+                }
+            },
             {
                 name: 'safe_cypher_query',
                 description: 'Execute a Cypher query against the Neo4j database. For read-only queries, no security node is required. For write operations (CREATE, SET, DELETE, REMOVE, MERGE), a valid security node name should be provided in the securityNodeName parameter. If there is User Insistence that the write should happen, then set the force parameter to "true".',
@@ -133,7 +334,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             {
                 name: 'create_entities',
-                description: 'Create multiple new entities in the knowledge graph',
+                description: 'Create multiple new entities in the knowledge graph. Entity types are matched against the entity type registry: aliases are replaced by the registered name, and unknown types or properties breaking the type\'s schema are reported as warnings, or rejected in strict mode.',
                 inputSchema: {
                     type: 'object',
                     properties: {
@@ -152,12 +353,17 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                                     },
                                     observations: {
                                         type: 'array',
-                                        items: {type: 'string'},
-                                        description: 'An array of observation contents associated with the entity'
+                                        items: OBSERVATION_INPUT_SCHEMA,
+                                        description: 'An array of observations associated with the entity, either plain contents or objects with provenance'
                                     }
                                 },
                                 required: ['name', 'entityType', 'observations']
                             }
+                        },
+                        typeValidation: {
+                            type: 'string',
+                            enum: ['off', 'lenient', 'strict'],
+                            description: 'Optional: How to check entity types against the registry: off, lenient (warn) or strict (reject). Defaults to the server setting'
                         }
                     },
                     required: ['entities']
@@ -185,10 +391,28 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                                     relationType: {
                                         type: 'string',
                                         description: 'The type of the relation'
+                                    },
+                                    properties: RELATION_PROPERTIES_SCHEMA,
+                                    validFrom: {
+                                        type: 'string',
+                                        description: 'Optional: When the relation started to hold (ISO 8601), defaults to now'
+                                    },
+                                    validTo: {
+                                        type: 'string',
+                                        description: 'Optional: When the relation stopped holding (ISO 8601)'
+                                    },
+                                    supersede: {
+                                        type: 'boolean',
+                                        description: 'Optional: When true, closes the current relations of this type from the same entity to other entities, e.g. a new employer replaces the previous one'
                                     }
                                 },
                                 required: ['from', 'to', 'relationType']
                             }
+                        },
+                        relationValidation: {
+                            type: 'string',
+                            enum: ['off', 'lenient', 'strict'],
+                            description: 'Optional: How to check relation types against the ontologies the entities are instances of (see classify_entities): off, lenient (warn) or strict (reject). Defaults to the server setting'
                         }
                     },
                     required: ['relations']
@@ -196,7 +420,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             {
                 name: 'add_observations',
-                description: 'Add new observations to existing entities in the knowledge graph',
+                description: 'Add new observations to existing entities in the knowledge graph. Contents that match a current observation once case, punctuation, accents and whitespace are ignored are skipped, and the response reports which existing observation each skipped content duplicates.',
                 inputSchema: {
                     type: 'object',
                     properties: {
@@ -210,13 +434,53 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                                         description: 'The name of the entity to add the observations to'
                                     },
                                     contents: {
+                                        type: 'array',
+                                        items: OBSERVATION_INPUT_SCHEMA,
+                                        description: 'An array of observations to add, either plain contents or objects with provenance'
+                                    },
+                                    source: {
+                                        type: 'string',
+                                        description: 'Optional: Where the observations came from (a document, a conversation, a tool), applied to contents without their own source'
+                                    },
+                                    confidence: {
+                                        type: 'number',
+                                        minimum: 0,
+                                        maximum: 1,
+                                        description: 'Optional: How reliable the observations are, from 0 to 1, applied to contents without their own confidence'
+                                    },
+                                    tags: {
+                                        type: 'array',
+                                        items: {type: 'string'},
+                                        description: 'Optional: Tags applied to contents without their own tags'
+                                    },
+                                    validFrom: {
+                                        type: 'string',
+                                        description: 'Optional: When the observations started to be true (ISO 8601), applied to contents without their own validFrom, defaults to now'
+                                    },
+                                    supersedes: {
                                         type: 'array',
                                         items: {type: 'string'},
-                                        description: 'An array of observation contents to add'
+                                        description: 'Optional: Contents of current observations that the new ones replace. They are closed instead of deleted and stay visible to asOf reads'
                                     }
                                 },
                                 required: ['entityName', 'contents']
                             }
+                        },
+                        similarityCheck: {
+                            type: 'string',
+                            enum: ['none', 'lexical', 'embedding'],
+                            description: 'Optional: How to detect near-duplicates of current observations beyond case, punctuation and whitespace: none, lexical (similar wording) or embedding (similar meaning). Defaults to the server setting'
+                        },
+                        similarityThreshold: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 1,
+                            description: 'Optional: Similarity from which an observation is a near-duplicate (default 0.8 for lexical, 0.9 for embedding)'
+                        },
+                        onSimilar: {
+                            type: 'string',
+                            enum: ['flag', 'reject'],
+                            description: 'Optional: Add near-duplicates and report them (flag) or skip them (reject). Defaults to the server setting'
                         }
                     },
                     required: ['observations']
@@ -224,7 +488,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             {
                 name: 'delete_entities',
-                description: 'Delete multiple entities and their associated relations from the knowledge graph',
+                description: 'Delete multiple entities and their associated relations from the knowledge graph. Unless soft delete is disabled on the server, deleted entities are moved to the trash and can be brought back with restore_entities.',
                 inputSchema: {
                     type: 'object',
                     properties: {
@@ -232,6 +496,10 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                             type: 'array',
                             items: {type: 'string'},
                             description: 'An array of entity names to delete'
+                        },
+                        permanent: {
+                            type: 'boolean',
+                            description: 'Optional: When true, removes the entities for good instead of moving them to the trash. Only set this if the user explicitly asks for it.'
                         }
                     },
                     required: ['entityNames']
@@ -297,24 +565,154 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                     required: ['relations']
                 }
             },
+            {
+                name: 'update_relation',
+                description: 'Change the properties of an existing relation in place',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        from: {
+                            type: 'string',
+                            description: 'The name of the entity where the relation starts'
+                        },
+                        to: {
+                            type: 'string',
+                            description: 'The name of the entity where the relation ends'
+                        },
+                        relationType: {
+                            type: 'string',
+                            description: 'The type of the relation'
+                        },
+                        properties: {
+                            ...RELATION_PROPERTIES_SCHEMA,
+                            description: 'Optional: Properties to set, existing properties with the same name are overwritten'
+                        },
+                        removeProperties: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'Optional: Names of properties to remove from the relation'
+                        }
+                    },
+                    required: ['from', 'to', 'relationType']
+                }
+            },
+            {
+                name: 'merge_entities',
+                description: 'Merge duplicate entities into one. The observations and relations of the source entities move to the target, duplicates are dropped, and the source names are kept as aliases of the target so they still resolve in open_nodes, add_observations and create_relations.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        targetName: {
+                            type: 'string',
+                            description: 'The name of the entity to keep'
+                        },
+                        sourceNames: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'The names of the duplicate entities to fold into the target'
+                        }
+                    },
+                    required: ['targetName', 'sourceNames']
+                }
+            },
             {
                 name: 'read_graph',
-                description: 'Read the entire knowledge graph',
+                description: 'Read the knowledge graph one page of entities at a time, ordered by name, with the relations going out of them. Pass the nextCursor of a response to get the next page; totalEntities and totalRelations count everything matching the filters.',
                 inputSchema: {
                     type: 'object',
-                    properties: {}
+                    properties: {
+                        limit: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 1000,
+                            description: 'Optional: Maximum number of entities in the page (default 100)'
+                        },
+                        cursor: {
+                            type: 'string',
+                            description: 'Optional: The nextCursor of the previous page'
+                        },
+                        entityTypes: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'Optional: Only read entities of these types'
+                        },
+                        updatedSince: {
+                            type: 'string',
+                            description: 'Optional: Only read entities changed at or after this time (ISO 8601)'
+                        },
+                        projection: {
+                            type: 'string',
+                            enum: ['names', 'types', 'full', 'summary'],
+                            description: 'Optional: Return only entity names, names and entity types, full entities with their observations, or full entities with their summary in place of the observations it covers (default full)'
+                        },
+                        asOf: AS_OF_SCHEMA
+                    }
                 }
             },
             {
                 name: 'search_nodes',
-                description: 'Search for nodes in the knowledge graph based on a query',
+                description: 'Search entity names, types and observation contents, best matches first. Each entity is returned with its relevance score.',
                 inputSchema: {
                     type: 'object',
                     properties: {
                         query: {
                             type: 'string',
-                            description: 'The search query to match against entity names, types, and observation content'
-                        }
+                            description: 'The words to search for. Text in double quotes is matched as a phrase, e.g. smith "machine learning"'
+                        },
+                        limit: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 100,
+                            description: 'Optional: Maximum number of entities to return (default 20)'
+                        },
+                        offset: {
+                            type: 'integer',
+                            minimum: 0,
+                            description: 'Optional: Number of best matching entities to skip, for paging through results (default 0)'
+                        },
+                        entityTypes: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'Optional: Only return entities of these types'
+                        },
+                        fuzzy: {
+                            type: 'boolean',
+                            description: 'Optional: Also match words that are spelled slightly differently (default false)'
+                        },
+                        asOf: AS_OF_SCHEMA,
+                        summaryOnly: SUMMARY_ONLY_SCHEMA
+                    },
+                    required: ['query']
+                }
+            },
+            {
+                name: 'semantic_search',
+                description: 'Find the entities whose meaning is closest to a natural language query, using vector embeddings of entities and their observations. Each entity is returned with its similarity score. The vector indexes are shared by all namespaces, so the nearest vectors are fetched in growing batches until enough match this namespace and the filters, up to 10000 per index.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        query: {
+                            type: 'string',
+                            description: 'What to look for, e.g. "people who work on machine learning"'
+                        },
+                        limit: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 100,
+                            description: 'Optional: Maximum number of entities to return (default 10)'
+                        },
+                        entityTypes: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'Optional: Only return entities of these types'
+                        },
+                        minScore: {
+                            type: 'number',
+                            minimum: -1,
+                            maximum: 1,
+                            description: 'Optional: Leave out entities with a lower similarity score (default 0)'
+                        },
+                        summaryOnly: SUMMARY_ONLY_SCHEMA
                     },
                     required: ['query']
                 }
@@ -329,140 +727,1016 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                             type: 'array',
                             items: {type: 'string'},
                             description: 'An array of entity names to retrieve'
-                        }
+                        },
+                        asOf: AS_OF_SCHEMA,
+                        summaryOnly: SUMMARY_ONLY_SCHEMA
                     },
                     required: ['names']
                 }
-            }
-        ]
-    };
-});
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    if (!knowledgeGraphMemory) {
-        knowledgeGraphMemory = await initializeMemory();
-    }
-    const {name, arguments: args} = request.params;
-    if (!args) {
-        throw new Error(`No arguments provided for tool: ${name}`);
-    }
-    switch (name) {
-        case 'create_entities':
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: JSON.stringify(
-                            await knowledgeGraphMemory.createEntities(
-                                args.entities
-                            ),
-                            null,
-                            2
-                        )
-                    }
-                ]
-            };
-        case 'create_relations':
-            return {
-                content: [
-                    {
-                        type: 'text',
-                        text: JSON.stringify(
-                            await knowledgeGraphMemory.createRelations(
-                                args.relations
-                            ),
-                            null,
-                            2
-                        )
+            },
+            {
+                name: 'get_neighborhood',
+                description: 'Get what is connected to one or more entities: the entities reachable within a number of relation hops, with their distance and observations, and the relations between them',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        entityNames: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'The names of the entities to start from'
+                        },
+                        depth: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 5,
+                            description: 'Optional: Maximum number of relation hops (default 1)'
+                        },
+                        direction: {
+                            type: 'string',
+                            enum: ['outgoing', 'incoming', 'both'],
+                            description: 'Optional: Follow relations going out of, into, or both ways from the entities (default both)'
+                        },
+                        relationTypes: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'Optional: Only follow relations of these types'
+                        },
+                        entityTypes: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'Optional: Only go through and return entities of these types'
+                        },
+                        maxNodes: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 500,
+                            description: 'Optional: Maximum number of entities to return, closest first (default 50)'
+                        },
+                        summaryOnly: SUMMARY_ONLY_SCHEMA
+                    },
+                    required: ['entityNames']
+                }
+            },
+            {
+                name: 'find_paths',
+                description: 'Find how two entities are connected: the shortest path, or the k shortest paths, between them. Each path is an ordered chain of entities and relations, also rendered as text such as "Alice -[WORKS_AT]-> Acme <-[CUSTOMER_OF]- Bob".',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        from: {
+                            type: 'string',
+                            description: 'The name of the entity where the paths start'
+                        },
+                        to: {
+                            type: 'string',
+                            description: 'The name of the entity where the paths end'
+                        },
+                        k: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 10,
+                            description: 'Optional: Number of paths to return, shortest first (default 1)'
+                        },
+                        maxLength: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 6,
+                            description: 'Optional: Maximum number of relations in a path (default 4)'
+                        },
+                        direction: {
+                            type: 'string',
+                            enum: ['outgoing', 'incoming', 'both'],
+                            description: 'Optional: Follow relations only along their direction from the start entity, only against it, or both ways (default both)'
+                        },
+                        relationTypes: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'Optional: Only follow relations of these types'
+                        }
+                    },
+                    required: ['from', 'to']
+                }
+            },
+            {
+                name: 'export_graph',
+                description: 'Export the memory graph, and optionally the BaseOntology graph, as JSON Lines, GraphML, a Cypher script or RDF Turtle. Only current facts are exported. The export is returned in the response.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        format: {
+                            type: 'string',
+                            enum: ['jsonl', 'graphml', 'cypher', 'turtle'],
+                            description: 'Optional: The export format (default jsonl)'
+                        },
+                        entityTypes: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'Optional: Only export entities of these types'
+                        },
+                        root: {
+                            type: 'string',
+                            description: 'Optional: Only export the subgraph of entities connected to this entity'
+                        },
+                        depth: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 5,
+                            description: 'Optional: Maximum number of relation hops from the root (default 2)'
+                        },
+                        includeOntology: {
+                            type: 'boolean',
+                            description: 'Optional: Also export the BaseOntology graph (default false)'
+                        }
                     }
-                ]
-            };
-        case 'add_observations':
-            return {
-                content: [
-                    {
+                }
+            },
+            {
+                name: 'import_graph',
+                description: 'Import entities and relations from JSON Lines: the memory.json of the reference MCP memory server, or an export_graph jsonl export. Returns a report of what was created, updated and skipped.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        content: {
+                            type: 'string',
+                            description: 'The JSON Lines to import'
+                        },
+                        policy: {
+                            type: 'string',
+                            enum: ['merge', 'replace', 'skip'],
+                            description: 'Optional: What to do with entities and relations that already exist: merge adds the imported observations and properties, replace overwrites them, skip leaves them as they are (default merge)'
+                        },
+                        batchSize: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 1000,
+                            description: 'Optional: Number of entities or relations written per transaction (default 100)'
+                        }
+                    },
+                    required: ['content']
+                }
+            },
+            {
+                name: 'create_snapshot',
+                description: 'Save a named snapshot of the memory graph: every entity, including trashed ones, with its observations and relations, and optionally the BaseOntology graph. Embeddings are not saved.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string',
+                            description: 'Name of the snapshot, unique in the namespace'
+                        },
+                        includeOntology: {
+                            type: 'boolean',
+                            description: 'Optional: Also save the BaseOntology graph (default false)'
+                        },
+                        store: {
+                            type: 'string',
+                            enum: ['database', 'directory'],
+                            description: 'Optional: Where to keep the snapshot: as a node in the database or as a file in MEMORY_SNAPSHOT_DIR (default MEMORY_SNAPSHOT_STORE, or database)'
+                        }
+                    },
+                    required: ['name']
+                }
+            },
+            {
+                name: 'list_snapshots',
+                description: 'List the snapshots of the memory graph, newest first, with the number of entities and relations they hold.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        store: {
+                            type: 'string',
+                            enum: ['database', 'directory'],
+                            description: 'Optional: The store to list (default MEMORY_SNAPSHOT_STORE, or database)'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'restore_snapshot',
+                description: 'Replace the memory graph with a snapshot, and the BaseOntology graph too if the snapshot holds it. Runs in one transaction and refuses to start while other writes are in flight. The restore is recorded in the history of every entity it changes.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string',
+                            description: 'Name of the snapshot to restore'
+                        },
+                        store: {
+                            type: 'string',
+                            enum: ['database', 'directory'],
+                            description: 'Optional: The store holding the snapshot (default MEMORY_SNAPSHOT_STORE, or database)'
+                        },
+                        includeOntology: {
+                            type: 'boolean',
+                            description: 'Optional: Also restore the BaseOntology graph when the snapshot holds it; refused while entities of other namespaces are linked to the ontology (default true)'
+                        }
+                    },
+                    required: ['name']
+                }
+            },
+            {
+                name: 'ingest_text',
+                description: 'Extract entities, observations and relations from free text with the LLM and write them in one transaction. Extracted names matching existing entities (ignoring case, or through aliases left by merge_entities) get the new observations and relations instead of being created again. With an ontology, only the entity types and relation types declared by that BaseOntology are accepted. Use dryRun to see the proposed changes without writing them.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        text: {
+                            type: 'string',
+                            description: 'The text to extract memories from, at most 20000 characters'
+                        },
+                        source: {
+                            type: 'string',
+                            description: 'Optional: Source recorded on the new observations (default "ingest_text")'
+                        },
+                        ontology: {
+                            type: 'string',
+                            description: 'Optional: Subject of the BaseOntology whose entity and relation types the extraction must use'
+                        },
+                        dryRun: {
+                            type: 'boolean',
+                            description: 'Optional: Only return the proposed changes (default false)'
+                        }
+                    },
+                    required: ['text']
+                }
+            },
+            {
+                name: 'summarize_entity',
+                description: 'Condense the current observations of an entity into a short summary written by the LLM, stored on the entity with the ids of the observations it covers. The observations themselves are kept. Read tools return the summary in place of the observations with summaryOnly (projection summary for read_graph). Once enough observations change, the summary is written again automatically.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        entityName: {
+                            type: 'string',
+                            description: 'The name of the entity to summarize'
+                        },
+                        force: {
+                            type: 'boolean',
+                            description: 'Optional: Write a new summary even if the current one covers every current observation (default false)'
+                        }
+                    },
+                    required: ['entityName']
+                }
+            },
+            {
+                name: 'get_entity_history',
+                description: 'List the recorded changes to an entity, newest first. Each change has a version number, the operation that made it and a diff of its properties, observations and outgoing relations.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        entityName: {
+                            type: 'string',
+                            description: 'The name of the entity'
+                        },
+                        limit: {
+                            type: 'number',
+                            description: 'Optional: Maximum number of changes to return (default 50)'
+                        },
+                        includeStates: {
+                            type: 'boolean',
+                            description: 'Optional: When true, also return the full entity state before and after each change'
+                        }
+                    },
+                    required: ['entityName']
+                }
+            },
+            {
+                name: 'revert_entity',
+                description: 'Restore an entity and its observations to the state recorded right after the given version (see get_entity_history). Relations are not changed. The revert is recorded as a new version.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        entityName: {
+                            type: 'string',
+                            description: 'The name of the entity'
+                        },
+                        version: {
+                            type: 'number',
+                            description: 'The version to restore'
+                        }
+                    },
+                    required: ['entityName', 'version']
+                }
+            },
+            {
+                name: 'list_trash',
+                description: 'List the entities in the trash, with when they were deleted and when they become eligible for purging',
+                inputSchema: {
+                    type: 'object',
+                    properties: {}
+                }
+            },
+            {
+                name: 'restore_entities',
+                description: 'Restore entities from the trash together with the relations that were deleted with them',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        entityNames: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'An array of entity names to restore'
+                        }
+                    },
+                    required: ['entityNames']
+                }
+            },
+            {
+                name: 'purge_trash',
+                description: 'Permanently remove entities and relations that have been in the trash longer than the retention period, or specific trashed entities right away',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        olderThanDays: {
+                            type: 'integer',
+                            minimum: 0,
+                            description: 'Optional: Retention period in whole days, defaults to the server setting (MEMORY_TRASH_RETENTION_DAYS)'
+                        },
+                        entityNames: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'Optional: Purge only these trashed entities, regardless of how long they have been in the trash'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'prune_memories',
+                description: 'List, or move to the trash, the entities that have gone unused for long and whose importance has decayed. Importance grows with how often an entity is read (open_nodes, search_nodes, semantic_search, get_neighborhood, find_paths) and with its relations, and halves every halfLifeDays it goes unused. Runs as a dry run unless dryRun is false.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        dryRun: {
+                            type: 'boolean',
+                            description: 'Optional: Only list the entities that would be pruned (default true)'
+                        },
+                        maxImportance: {
+                            type: 'number',
+                            minimum: 0,
+                            description: 'Optional: Prune entities whose importance is at most this (default MEMORY_PRUNE_MAX_IMPORTANCE, or 0.25)'
+                        },
+                        minIdleDays: {
+                            type: 'number',
+                            minimum: 0,
+                            description: 'Optional: Prune only entities unused for at least this many days (default MEMORY_PRUNE_MIN_IDLE_DAYS, or 90)'
+                        },
+                        halfLifeDays: {
+                            type: 'number',
+                            exclusiveMinimum: 0,
+                            description: 'Optional: Days after which an unused entity has lost half its importance (default MEMORY_DECAY_HALF_LIFE_DAYS, or 30)'
+                        },
+                        entityTypes: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'Optional: Only consider entities of these types'
+                        },
+                        limit: {
+                            type: 'integer',
+                            minimum: 1,
+                            maximum: 1000,
+                            description: 'Optional: Maximum number of entities to list or prune (default 100)'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'define_entity_type',
+                description: 'Register an entity type, or update a registered one, with aliases that create_entities maps to it and an optional JSON Schema that the properties of its entities must match.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string',
+                            description: 'The canonical name of the type, e.g. Person'
+                        },
+                        aliases: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'Optional: Other names of the type, e.g. people, human. Case and punctuation are ignored when matching'
+                        },
+                        description: {
+                            type: 'string',
+                            description: 'Optional: What entities of this type are'
+                        },
+                        schema: {
+                            type: 'object',
+                            description: 'Optional: JSON Schema for the entity properties (observations aside), e.g. {"required": ["email"], "properties": {"email": {"type": "string"}}}'
+                        }
+                    },
+                    required: ['name']
+                }
+            },
+            {
+                name: 'list_entity_types',
+                description: 'List the registered entity types with their aliases, schemas and number of entities.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        includeDeprecated: {
+                            type: 'boolean',
+                            description: 'Optional: Also list deprecated types (default false)'
+                        }
+                    }
+                }
+            },
+            {
+                name: 'deprecate_entity_type',
+                description: 'Deprecate an entity type. Existing entities keep it; new entities of the type are moved to the replacement, or warned about or rejected when there is none.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        name: {
+                            type: 'string',
+                            description: 'The name of the type to deprecate'
+                        },
+                        replacedBy: {
+                            type: 'string',
+                            description: 'Optional: The registered type that replaces it'
+                        }
+                    },
+                    required: ['name']
+                }
+            },
+            {
+                name: 'list_namespaces',
+                description: 'List the namespaces of the memory graph with their number of entities and trashed entities, and the namespace this server uses by default',
+                inputSchema: {
+                    type: 'object',
+                    properties: {}
+                }
+            },
+            {
+                name: 'copy_entities',
+                description: 'Copy entities with their current observations into another namespace. Relations between the copied entities are copied too. Fails if the target namespace already has an entity with the same name.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        entityNames: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'The names of the entities to copy'
+                        },
+                        targetNamespace: {
+                            type: 'string',
+                            description: 'The namespace to copy the entities to'
+                        }
+                    },
+                    required: ['entityNames', 'targetNamespace']
+                }
+            },
+            {
+                name: 'move_entities',
+                description: 'Move entities with their observations and history into another namespace. Relations between the moved entities move with them, relations to entities left behind are deleted. Fails if the target namespace already has an entity with the same name.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        entityNames: {
+                            type: 'array',
+                            items: {type: 'string'},
+                            description: 'The names of the entities to move'
+                        },
+                        targetNamespace: {
+                            type: 'string',
+                            description: 'The namespace to move the entities to'
+                        }
+                    },
+                    required: ['entityNames', 'targetNamespace']
+                }
+            }
+        ].map(withNamespaceArgument)
+    };
+});
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    if (!knowledgeGraphMemory) {
+        knowledgeGraphMemory = await initializeMemory();
+    }
+    const {name, arguments: args} = request.params;
+    if (!args) {
+        throw new Error(`No arguments provided for tool: ${name}`);
+    }
+    const memory = args.namespace === undefined || UNSCOPED_TOOLS.includes(name)
+        ? knowledgeGraphMemory
+        : knowledgeGraphMemory.forNamespace(args.namespace);
+    switch (name) {
+        case 'create_entities':
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(
+                            await memory.createEntities(
+                                args.entities,
+                                {typeValidation: args.typeValidation}
+                            ),
+                            null,
+                            2
+                        )
+                    }
+                ]
+            };
+        case 'create_relations':
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(
+                            await memory.createRelations(
+                                args.relations,
+                                {relationValidation: args.relationValidation}
+                            ),
+                            null,
+                            2
+                        )
+                    }
+                ]
+            };
+        case 'add_observations':
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(
+                            await memory.addObservations(
+                                args.observations,
+                                {method: args.similarityCheck, threshold: args.similarityThreshold, action: args.onSimilar}
+                            ),
+                            null,
+                            2
+                        )
+                    }
+                ]
+            };
+        case 'delete_entities': {
+            const {permanent} = await memory.deleteEntities(args.entityNames, {
+                permanent: args.permanent === true ? true : undefined
+            });
+            return {
+                content: [{
+                    type: 'text',
+                    text: permanent ? 'Entities deleted successfully' : 'Entities moved to the trash successfully'
+                }]
+            };
+        }
+        case 'delete_observations':
+            await memory.deleteObservations(
+                args.deletions
+            );
+            return {
+                content: [{type: 'text', text: 'Observations deleted successfully'}]
+            };
+        case 'delete_relations':
+            await memory.deleteRelations(args.relations);
+            return {
+                content: [{type: 'text', text: 'Relations deleted successfully'}]
+            };
+        case 'update_relation':
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(
+                            await memory.updateRelation(
+                                {from: args.from, to: args.to, relationType: args.relationType},
+                                args.properties,
+                                args.removeProperties
+                            ),
+                            null,
+                            2
+                        )
+                    }
+                ]
+            };
+        case 'merge_entities':
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(
+                            await memory.mergeEntities(args.targetName, args.sourceNames),
+                            null,
+                            2
+                        )
+                    }
+                ]
+            };
+        case 'read_graph':
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(
+                            await memory.readGraph({
+                                limit: args.limit,
+                                cursor: args.cursor,
+                                entityTypes: args.entityTypes,
+                                updatedSince: args.updatedSince,
+                                projection: args.projection,
+                                asOf: args.asOf
+                            }),
+                            (key, value) => {
+                                // Format dates for readability if they look like ISO date strings
+                                if (typeof value === 'string' &&
+                                    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z$/.test(value)) {
+                                    return new Date(value).toLocaleString();
+                                }
+                                return value;
+                            },
+                            2
+                        )
+                    }
+                ]
+            };
+        case 'search_nodes':
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(
+                            await memory.searchNodes(args.query, {
+                                limit: args.limit,
+                                offset: args.offset,
+                                entityTypes: args.entityTypes,
+                                fuzzy: args.fuzzy,
+                                asOf: args.asOf,
+                                summaryOnly: args.summaryOnly === true
+                            }),
+                            (key, value) => {
+                                // Format dates for readability if they look like ISO date strings
+                                if (typeof value === 'string' &&
+                                    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z$/.test(value)) {
+                                    return new Date(value).toLocaleString();
+                                }
+                                return value;
+                            },
+                            2
+                        )
+                    }
+                ]
+            };
+        case 'semantic_search':
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(
+                            await memory.semanticSearch(args.query, {
+                                limit: args.limit,
+                                entityTypes: args.entityTypes,
+                                minScore: args.minScore,
+                                summaryOnly: args.summaryOnly === true
+                            }),
+                            null,
+                            2
+                        )
+                    }
+                ]
+            };
+        case 'open_nodes':
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(
+                            await memory.openNodes(args.names, {asOf: args.asOf, summaryOnly: args.summaryOnly === true}),
+                            (key, value) => {
+                                // Format dates for readability if they look like ISO date strings
+                                if (typeof value === 'string' &&
+                                    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z$/.test(value)) {
+                                    return new Date(value).toLocaleString();
+                                }
+                                return value;
+                            },
+                            2
+                        )
+                    }
+                ]
+            };
+        case 'get_neighborhood':
+        case 'find_paths':
+            try {
+                const {handleGetNeighborhood, handleFindPaths} = await import('./tools/graph-traversal.js');
+                const result = name === 'get_neighborhood'
+                    ? await handleGetNeighborhood(memory, args)
+                    : await handleFindPaths(memory, args);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(result, null, 2)
+                        }
+                    ]
+                };
+            } catch (error) {
+                console.error(`Error in ${name}: ${error.message}`);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify({
+                                error: 'Error traversing the graph',
+                                message: error.message
+                            }, null, 2)
+                        }
+                    ]
+                };
+            }
+        case 'export_graph':
+            try {
+                const {handleExportGraph} = await import('./tools/graph-export.js');
+                const result = await handleExportGraph(memory, args);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(result, null, 2)
+                        }
+                    ]
+                };
+            } catch (error) {
+                console.error(`Error in export_graph: ${error.message}`);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify({
+                                error: 'Error exporting the graph',
+                                message: error.message
+                            }, null, 2)
+                        }
+                    ]
+                };
+            }
+        case 'import_graph':
+            try {
+                const {handleImportGraph} = await import('./tools/graph-import.js');
+                const result = await handleImportGraph(memory, args);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(result, null, 2)
+                        }
+                    ]
+                };
+            } catch (error) {
+                console.error(`Error in import_graph: ${error.message}`);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify({
+                                error: 'Error importing the graph',
+                                message: error.message
+                            }, null, 2)
+                        }
+                    ]
+                };
+            }
+        case 'create_snapshot':
+        case 'list_snapshots':
+        case 'restore_snapshot':
+            try {
+                const {handleCreateSnapshot, handleListSnapshots, handleRestoreSnapshot} = await import('./tools/snapshots.js');
+                const handlers = {
+                    create_snapshot: handleCreateSnapshot,
+                    list_snapshots: handleListSnapshots,
+                    restore_snapshot: handleRestoreSnapshot
+                };
+                const result = await handlers[name](memory, args);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(result, null, 2)
+                        }
+                    ]
+                };
+            } catch (error) {
+                console.error(`Error in ${name}: ${error.message}`);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify({
+                                error: 'Error handling the snapshot',
+                                message: error.message
+                            }, null, 2)
+                        }
+                    ]
+                };
+            }
+        case 'ingest_text':
+            try {
+                const {handleIngestText} = await import('./tools/text-ingest.js');
+                const result = await handleIngestText(memory, args);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(result, null, 2)
+                        }
+                    ]
+                };
+            } catch (error) {
+                console.error(`Error in ingest_text: ${error.message}`);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify({
+                                error: 'Error ingesting the text',
+                                message: error.message
+                            }, null, 2)
+                        }
+                    ]
+                };
+            }
+        case 'summarize_entity':
+            try {
+                const {handleSummarizeEntity} = await import('./tools/summaries.js');
+                const result = await handleSummarizeEntity(memory, args);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(result, null, 2)
+                        }
+                    ]
+                };
+            } catch (error) {
+                console.error(`Error in summarize_entity: ${error.message}`);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify({
+                                error: 'Error summarizing the entity',
+                                message: error.message
+                            }, null, 2)
+                        }
+                    ]
+                };
+            }
+        case 'get_entity_history':
+        case 'revert_entity':
+            try {
+                const {handleGetEntityHistory, handleRevertEntity} = await import('./tools/entity-history.js');
+                const result = name === 'get_entity_history'
+                    ? await handleGetEntityHistory(memory, args)
+                    : await handleRevertEntity(memory, args);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(result, null, 2)
+                        }
+                    ]
+                };
+            } catch (error) {
+                console.error(`Error in ${name}: ${error.message}`);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify({
+                                error: 'Error reading entity history',
+                                message: error.message
+                            }, null, 2)
+                        }
+                    ]
+                };
+            }
+        case 'list_trash':
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(await memory.listTrash(), null, 2)
+                    }
+                ]
+            };
+        case 'restore_entities':
+            return {
+                content: [
+                    {
                         type: 'text',
                         text: JSON.stringify(
-                            await knowledgeGraphMemory.addObservations(
-                                args.observations
-                            ),
+                            await memory.restoreEntities(args.entityNames),
                             null,
                             2
                         )
                     }
                 ]
             };
-        case 'delete_entities':
-            await knowledgeGraphMemory.deleteEntities(args.entityNames);
-            return {
-                content: [{type: 'text', text: 'Entities deleted successfully'}]
-            };
-        case 'delete_observations':
-            await knowledgeGraphMemory.deleteObservations(
-                args.deletions
-            );
-            return {
-                content: [{type: 'text', text: 'Observations deleted successfully'}]
-            };
-        case 'delete_relations':
-            await knowledgeGraphMemory.deleteRelations(args.relations);
-            return {
-                content: [{type: 'text', text: 'Relations deleted successfully'}]
-            };
-        case 'read_graph':
+        case 'purge_trash':
             return {
                 content: [
                     {
                         type: 'text',
                         text: JSON.stringify(
-                            await knowledgeGraphMemory.readGraph(),
-                            (key, value) => {
-                                // Format dates for readability if they look like ISO date strings
-                                if (typeof value === 'string' &&
-                                    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z$/.test(value)) {
-                                    return new Date(value).toLocaleString();
-                                }
-                                return value;
-                            },
+                            await memory.purgeTrash({
+                                olderThanDays: args.olderThanDays,
+                                entityNames: args.entityNames
+                            }),
+                            null,
                             2
                         )
                     }
                 ]
             };
-        case 'search_nodes':
+        case 'prune_memories':
+            try {
+                const {handlePruneMemories} = await import('./tools/memory-decay.js');
+                const result = await handlePruneMemories(memory, args);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(result, null, 2)
+                        }
+                    ]
+                };
+            } catch (error) {
+                console.error(`Error in prune_memories: ${error.message}`);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify({
+                                error: 'Error pruning memories',
+                                message: error.message
+                            }, null, 2)
+                        }
+                    ]
+                };
+            }
+        case 'define_entity_type':
+        case 'list_entity_types':
+        case 'deprecate_entity_type':
+            try {
+                const {handleDefineEntityType, handleListEntityTypes, handleDeprecateEntityType} = await import('./tools/entity-types.js');
+                const handlers = {
+                    define_entity_type: handleDefineEntityType,
+                    list_entity_types: handleListEntityTypes,
+                    deprecate_entity_type: handleDeprecateEntityType
+                };
+                const result = await handlers[name](memory, args);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(result, null, 2)
+                        }
+                    ]
+                };
+            } catch (error) {
+                console.error(`Error in ${name}: ${error.message}`);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify({
+                                error: 'Error handling the entity type registry',
+                                message: error.message
+                            }, null, 2)
+                        }
+                    ]
+                };
+            }
+        case 'list_namespaces':
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify({
+                            namespace: memory.namespace,
+                            namespaces: await memory.listNamespaces()
+                        }, null, 2)
+                    }
+                ]
+            };
+        case 'copy_entities':
             return {
                 content: [
                     {
                         type: 'text',
                         text: JSON.stringify(
-                            await knowledgeGraphMemory.searchNodes(args.query),
-                            (key, value) => {
-                                // Format dates for readability if they look like ISO date strings
-                                if (typeof value === 'string' &&
-                                    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z$/.test(value)) {
-                                    return new Date(value).toLocaleString();
-                                }
-                                return value;
-                            },
+                            await memory.copyEntities(args.entityNames, args.targetNamespace),
+                            null,
                             2
                         )
                     }
                 ]
             };
-        case 'open_nodes':
+        case 'move_entities':
             return {
                 content: [
                     {
                         type: 'text',
                         text: JSON.stringify(
-                            await knowledgeGraphMemory.openNodes(args.names),
-                            (key, value) => {
-                                // Format dates for readability if they look like ISO date strings
-                                if (typeof value === 'string' &&
-                                    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}.\d{3}Z$/.test(value)) {
-                                    return new Date(value).toLocaleString();
-                                }
-                                return value;
-                            },
+                            await memory.moveEntities(args.entityNames, args.targetNamespace),
+                            null,
                             2
                         )
                     }
@@ -494,6 +1768,37 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                     ]
                 };
             }
+        case 'classify_entities':
+        case 'find_instances':
+            try {
+                const {handleClassifyEntities, handleFindInstances} = await import('./tools/ontology-classes.js');
+                const handlers = {
+                    classify_entities: handleClassifyEntities,
+                    find_instances: handleFindInstances
+                };
+                const result = await handlers[name](memory, args);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify(result, null, 2)
+                        }
+                    ]
+                };
+            } catch (error) {
+                console.error(`Error in ${name}: ${error.message}`);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: JSON.stringify({
+                                error: 'Error handling the ontology classes',
+                                message: error.message
+                            }, null, 2)
+                        }
+                    ]
+                };
+            }
         case 'safe_cypher_query':
             try {
                 // Import utilities for Cypher query validation
@@ -1,12 +1,518 @@
+import {int} from 'neo4j-driver';
+import {toPlainProperties, toPlainValue} from './utils/neo4j-utils.js';
+import {toFulltextQuery, toRelationshipType} from './utils/cypher-utils.js';
+import {vectorIndexStatements} from './utils/schema-migrations.js';
+import {cosineSimilarity, lexicalSimilarity, normalizeText, SIMILARITY_ACTIONS, SIMILARITY_METHODS} from './utils/text-similarity.js';
+import {validate} from './utils/json-schema.js';
+import {MAX_HIERARCHY_DEPTH, parseOntologyStructure, toClassName} from './utils/ontology-utils.js';
+
+/**
+ * Builds a Cypher predicate telling whether `variable` was part of the memory at the time given
+ * by the $asOf parameter, or whether it is part of it now when $asOf is null.
+ * Something is part of the memory from its createdAt until any of the given properties closes it.
+ * @param {string} variable - The node or relationship variable
+ * @param {...string} closedBy - Properties holding when it stopped being believed, e.g. deletedAt
+ * @returns {string} - The predicate
+ */
+function believedAt(variable, ...closedBy) {
+    const current = closedBy.map((property) => `${variable}.${property} IS NULL`).join(' AND ');
+    const asOf = [
+        `(${variable}.createdAt IS NULL OR ${variable}.createdAt <= datetime($asOf))`,
+        ...closedBy.map((property) => `(${variable}.${property} IS NULL OR ${variable}.${property} > datetime($asOf))`)
+    ].join(' AND ');
+    return `(CASE WHEN $asOf IS NULL THEN ${current} ELSE ${asOf} END)`;
+}
+
+// Collects the observations of `entity` believed at $asOf, oldest first
+const OBSERVATIONS_SUBQUERY = `
+        CALL {
+            WITH entity
+            OPTIONAL MATCH (entity)-[:HAS_OBSERVATION]->(observation:Observation)
+            WHERE ${believedAt('observation', 'supersededAt')}
+            WITH observation ORDER BY observation.createdAt
+            RETURN collect(observation {.*}) AS observations
+        }`;
+
+// Properties of a new :Observation node built from a normalized `observation` map
+const NEW_OBSERVATION_PROPERTIES = `{
+                id: randomUUID(),
+                content: observation.content,
+                createdAt: datetime({timezone: 'UTC'}),
+                validFrom: coalesce(datetime(observation.validFrom), datetime({timezone: 'UTC'})),
+                validTo: datetime(observation.validTo),
+                source: observation.source,
+                confidence: observation.confidence,
+                tags: observation.tags
+            }`;
+
+// Bookkeeping properties of a :Memory node that are not part of its tracked state
+const UNTRACKED_ENTITY_PROPERTIES = ['namespace', 'entityID', 'createdAt', 'updatedAt', 'embedding', 'embeddingModel', 'accessCount', 'lastAccessedAt',
+    'summary', 'summaryObservationIds', 'summarizedAt'];
+
+// Namespace used when none is configured, existing memories are migrated into it
+const DEFAULT_NAMESPACE = 'default';
+const NAMESPACE_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// Properties holding the semantic search vectors, which are not returned by the read tools
+const EMBEDDING_PROPERTIES = ['embedding', 'embeddingModel'];
+
+// Entity properties describing the entity where it is kept, left out of its copies
+const UNCOPIED_PROPERTIES = [...EMBEDDING_PROPERTIES, 'summary', 'summaryObservationIds', 'summarizedAt', 'accessCount', 'lastAccessedAt'];
+
+// Nearest nodes semantic search first asks the vector indexes for, per entity wanted, and the most it asks for
+const VECTOR_CANDIDATE_FACTOR = 5;
+const MAX_VECTOR_CANDIDATES = 10000;
+
+// Page sizes of read_graph
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// What read_graph returns of each entity, by projection. Every projection returns entityID for the cursor.
+const ENTITY_PROJECTIONS = {
+    names: 'entity {.name} AS entity, entity.entityID AS entityID',
+    types: 'entity {.name, .entityType} AS entity, entity.entityID AS entityID',
+    full: 'entity, observations, entity.entityID AS entityID',
+    summary: 'entity, observations, entity.entityID AS entityID'
+};
+
+// How createEntities checks entity types against the registry, and createRelations relation types
+// against the ontologies: not at all, with warnings, or rejecting
+const TYPE_VALIDATION_MODES = ['off', 'lenient', 'strict'];
+
+// Valid relation types suggested for a relation an ontology doesn't declare
+const MAX_RELATION_SUGGESTIONS = 3;
+
+// Longest text embedded for an entity, longer ones are cut to stay within the provider's input limit
+const MAX_EMBEDDING_TEXT_LENGTH = 8000;
+
+// Bookkeeping properties of a memory relation that are not returned as its properties
+const INTERNAL_RELATION_PROPERTIES = ['deletedAt', 'createdAt', 'supersededAt', 'validFrom', 'validTo'];
+
+// Removes the observations of `entity` and then the entity with all its relations
+const DETACH_DELETE_ENTITY = `
+        CALL {
+            WITH entity
+            MATCH (entity)-[:HAS_OBSERVATION]->(observation:Observation)
+            DETACH DELETE observation
+        }
+        DETACH DELETE entity`;
+
+/**
+ * Builds the predicate selecting the entities of a read_graph page by the $namespace,
+ * $entityTypes, $updatedSince and $asOf parameters
+ * @param {string} variable - The entity variable
+ * @returns {string} - The predicate
+ */
+function pageFilter(variable) {
+    return `${variable}.namespace = $namespace AND ${believedAt(variable, 'deletedAt')}
+              AND ($entityTypes IS NULL OR ${variable}.entityType IN $entityTypes)
+              AND ($updatedSince IS NULL OR coalesce(${variable}.updatedAt, ${variable}.createdAt) >= datetime($updatedSince))`;
+}
+
+/**
+ * Encodes the position after the last entity of a read_graph page into an opaque cursor
+ * @param {string} entityID - The last entity of the page
+ * @returns {string} - The cursor
+ */
+function encodeCursor(entityID) {
+    return Buffer.from(JSON.stringify({after: entityID})).toString('base64url');
+}
+
+/**
+ * Decodes a cursor made by encodeCursor
+ * @param {string} [cursor] - The cursor, none for the first page
+ * @returns {string|null} - The entity the page starts after
+ */
+function decodeCursor(cursor) {
+    if (cursor === undefined || cursor === null) {
+        return null;
+    }
+    try {
+        const {after} = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof after === 'string') {
+            return after;
+        }
+    } catch {
+        // Reported below
+    }
+    throw new Error(`Invalid cursor: ${cursor}`);
+}
+
+/**
+ * Checks that a timestamp given by the user can be parsed
+ * @param {string} [value] - An ISO 8601 date or date-time
+ * @param {string} name - The name of the argument, used in the error message
+ * @returns {string|null} - The value, or null when none was given
+ */
+function toTimestamp(value, name) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        throw new Error(`${name} must be an ISO 8601 date or date-time, got ${JSON.stringify(value)}`);
+    }
+    return value;
+}
+
+/**
+ * Normalizes an observation given either as a plain string or as an object with provenance
+ * @param {string|Object} observation - The observation content, or {content, source, confidence, tags, validFrom, validTo}
+ * @param {Object} defaults - Provenance used when the observation does not carry its own
+ * @returns {Object} - {content, source, confidence, tags, validFrom, validTo}
+ */
+function normalizeObservation(observation, defaults = {}) {
+    const value = typeof observation === 'string' ? {content: observation} : {...observation};
+    if (typeof value.content !== 'string' || value.content.length === 0) {
+        throw new Error(`Invalid observation: ${JSON.stringify(observation)}`);
+    }
+    const confidence = value.confidence ?? defaults.confidence ?? null;
+    if (confidence !== null && (typeof confidence !== 'number' || confidence < 0 || confidence > 1)) {
+        throw new Error(`Observation confidence must be a number between 0 and 1, got ${confidence}`);
+    }
+    return {
+        content: value.content,
+        source: value.source ?? defaults.source ?? null,
+        confidence,
+        tags: value.tags ?? defaults.tags ?? [],
+        validFrom: toTimestamp(value.validFrom ?? defaults.validFrom, 'validFrom'),
+        validTo: toTimestamp(value.validTo, 'validTo')
+    };
+}
+
+/**
+ * Drops observations whose content already appeared earlier in the list
+ * @param {Object[]} observations - Normalized observations
+ * @returns {Object[]} - The observations with unique contents
+ */
+function uniqueObservations(observations) {
+    const seen = new Set();
+    return observations.filter((o) => !seen.has(o.content) && seen.add(o.content));
+}
+
+/**
+ * Copies entities to be written, giving each an observations array
+ * @param {Array} entities - [{name, entityType, observations?, ...properties}]
+ * @returns {Array} - The copies
+ */
+function prepareEntities(entities) {
+    return entities.map((entity) => ({
+        ...entity,
+        observations: Array.isArray(entity.observations) ? entity.observations : []
+    }));
+}
+
+/**
+ * Checks a type validation mode
+ * @param {string} mode - off, lenient or strict
+ * @returns {string} - The mode
+ */
+function checkTypeValidation(mode) {
+    if (!TYPE_VALIDATION_MODES.includes(mode)) {
+        throw new Error(`Unknown type validation mode '${mode}', expected one of: ${TYPE_VALIDATION_MODES.join(', ')}`);
+    }
+    return mode;
+}
+
+/**
+ * Checks entities against the entity type registry
+ * Types are matched by name or alias, ignoring case and punctuation, and replaced by the registered
+ * name; a deprecated type with a replacement is replaced by it. The properties of the entity,
+ * name, type and observations aside, are validated against the JSON Schema of its type. Lenient
+ * mode turns every problem into a warning on the entity, strict mode returns the unknown types,
+ * deprecated types and schema violations as errors. An empty registry checks nothing.
+ * @param {Object[]} entities - The entities to create
+ * @param {Object[]} types - The registered types, see readEntityTypes
+ * @param {string} mode - off, lenient or strict
+ * @returns {Object} - {entities: the entities with their registered type and warnings?, errors: [message]}
+ */
+function checkEntityTypes(entities, types, mode) {
+    if (mode === 'off' || types.length === 0) {
+        return {entities, errors: []};
+    }
+    const byName = new Map(types.map((type) => [type.name, type]));
+    const byKey = new Map();
+    for (const type of types) {
+        [type.name, ...type.aliases].forEach((key) => byKey.set(normalizeText(key), type));
+    }
+
+    const errors = [];
+    const checked = entities.map((entity) => {
+        const warnings = [];
+        const problems = [];
+        let type = typeof entity.entityType === 'string' ? byKey.get(normalizeText(entity.entityType)) : undefined;
+        if (type?.deprecatedAt && byName.get(type.replacedBy)) {
+            warnings.push(`entity type '${type.name}' is deprecated, replaced by '${type.replacedBy}'`);
+            type = byName.get(type.replacedBy);
+        } else if (type && type.name !== entity.entityType) {
+            warnings.push(`entity type '${entity.entityType}' normalized to '${type.name}'`);
+        }
+        if (!type) {
+            problems.push(`unknown entity type '${entity.entityType}'`);
+        } else if (type.deprecatedAt) {
+            problems.push(`entity type '${type.name}' is deprecated`);
+        }
+
+        const result = type ? {...entity, entityType: type.name} : {...entity};
+        if (type?.schema) {
+            // name and entityType are set by every entity, the schema only covers the other properties
+            const properties = {...result};
+            delete properties.name;
+            delete properties.entityType;
+            delete properties.observations;
+            problems.push(...validate(properties, type.schema));
+        }
+        if (mode === 'strict') {
+            errors.push(...problems.map((problem) => `${entity.name}: ${problem}`));
+        } else {
+            warnings.push(...problems);
+        }
+        return warnings.length > 0 ? {...result, warnings} : result;
+    });
+    return {entities: checked, errors};
+}
+
+/**
+ * Checks relations against the relationships declared by the ontologies their entities are instances of
+ * A relation is checked against each ontology that has classes of both of its entities, counting the
+ * classes they are instances of and their ancestors. It is valid when one of these ontologies declares
+ * its type between a class of the from entity and a class of the to entity, in either direction.
+ * Relations between entities without classes in a common ontology are not checked. Lenient mode turns
+ * a violation into a warning on the relation, strict mode returns it as an error; both suggest the
+ * declared types closest to the one given.
+ * @param {Object[]} relations - The relations to create, with converted relation types
+ * @param {Object} rules - {classes, triples}, see readRelationRules
+ * @param {string} mode - off, lenient or strict
+ * @returns {Object} - {relations: the relations with warnings? and suggestedRelationTypes?, errors: [message]}
+ */
+function checkRelationTypes(relations, rules, mode) {
+    if (mode === 'off') {
+        return {relations, errors: []};
+    }
+    const errors = [];
+    const checked = relations.map((relation) => {
+        const fromClasses = rules.classes.get(relation.from) ?? new Map();
+        const toClasses = rules.classes.get(relation.to) ?? new Map();
+        const ontologies = [...fromClasses.keys()].filter((ontology) => toClasses.has(ontology) && rules.triples.has(ontology));
+        if (ontologies.length === 0) {
+            return relation;
+        }
+        const declared = new Set();
+        for (const ontology of ontologies) {
+            const from = fromClasses.get(ontology);
+            const to = toClasses.get(ontology);
+            for (const triple of rules.triples.get(ontology)) {
+                if ((from.has(triple.from) && to.has(triple.to)) || (to.has(triple.from) && from.has(triple.to))) {
+                    declared.add(triple.type);
+                }
+            }
+        }
+        if (declared.has(relation.relationType)) {
+            return relation;
+        }
+
+        const target = normalizeText(relation.relationType);
+        const suggestedRelationTypes = [...declared]
+            .map((type) => ({type, score: lexicalSimilarity(target, normalizeText(type))}))
+            .sort((a, b) => b.score - a.score || a.type.localeCompare(b.type))
+            .slice(0, MAX_RELATION_SUGGESTIONS)
+            .map(({type}) => type);
+        const problem = `relation type '${relation.relationType}' is not declared between ${relation.from} and ${relation.to} by ontology ${ontologies.join(', ')}`
+            + (suggestedRelationTypes.length > 0 ? `, did you mean ${suggestedRelationTypes.join(', ')}?` : ', which declares no relations between their classes');
+        if (mode === 'strict') {
+            errors.push(`${relation.from} -[${relation.relationType}]-> ${relation.to}: ${problem}`);
+            return relation;
+        }
+        return {...relation, warnings: [problem], ...(suggestedRelationTypes.length > 0 ? {suggestedRelationTypes} : {})};
+    });
+    return {relations: checked, errors};
+}
+
+/**
+ * Checks the near-duplicate check settings, filling in the default threshold of the method
+ * @param {Object} [check]
+ * @param {string} [check.method='none'] - none, lexical or embedding
+ * @param {number} [check.threshold] - Similarity from which observations are near-duplicates
+ * @param {string} [check.action='flag'] - flag adds near-duplicates and reports them, reject skips them
+ * @returns {Object} - {method, threshold, action}
+ * @throws {Error} - If a setting is invalid
+ */
+function checkSimilaritySettings({method = 'none', threshold, action = 'flag'} = {}) {
+    if (!(method in SIMILARITY_METHODS)) {
+        throw new Error(`Unknown similarity check '${method}', expected one of: ${Object.keys(SIMILARITY_METHODS).join(', ')}`);
+    }
+    if (!SIMILARITY_ACTIONS.includes(action)) {
+        throw new Error(`Unknown similarity action '${action}', expected one of: ${SIMILARITY_ACTIONS.join(', ')}`);
+    }
+    const value = threshold ?? SIMILARITY_METHODS[method];
+    if (value !== null && (typeof value !== 'number' || Number.isNaN(value) || value <= 0 || value > 1)) {
+        throw new Error(`Similarity threshold must be a number above 0 and at most 1, got ${threshold}`);
+    }
+    return {method, threshold: value, action};
+}
+
+/**
+ * Checks the properties given for a relation, they must be primitives or arrays of primitives
+ * @param {Object} [properties] - The relation properties, e.g. {weight: 0.8, source: 'email', since: '2021-03-01'}
+ * @returns {Object} - The properties, an empty object when none were given
+ * @throws {Error} - If a property can't be stored on a relationship
+ */
+function normalizeRelationProperties(properties) {
+    if (properties === undefined || properties === null) {
+        return {};
+    }
+    if (typeof properties !== 'object' || Array.isArray(properties)) {
+        throw new Error(`Relation properties must be an object, got ${JSON.stringify(properties)}`);
+    }
+    const isPrimitive = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+    for (const [key, value] of Object.entries(properties)) {
+        if (INTERNAL_RELATION_PROPERTIES.includes(key)) {
+            throw new Error(`Relation property '${key}' is reserved for the memory graph`);
+        }
+        if (!isPrimitive(value) && !(Array.isArray(value) && value.every(isPrimitive))) {
+            throw new Error(`Relation property '${key}' must be a string, number, boolean or an array of them`);
+        }
+        // Neo4j only stores arrays whose elements all have the same type
+        if (Array.isArray(value) && value.some((element) => typeof element !== typeof value[0])) {
+            throw new Error(`Relation property '${key}' must be an array of strings, of numbers or of booleans, not a mix, got ${JSON.stringify(value)}`);
+        }
+    }
+    return {...properties};
+}
+
+/**
+ * Builds the relation returned to the tools from a projected relationship map
+ * The validity period and the properties are only included when the relation has them
+ * @param {Object} relation - {from?, to, relationType, properties}
+ * @returns {Object} - {from, to, relationType, validFrom?, validTo?, properties?}
+ */
+function toRelation({properties = {}, ...relation}) {
+    const visible = toPlainProperties(properties);
+    const {validFrom, validTo} = visible;
+    INTERNAL_RELATION_PROPERTIES.forEach((key) => delete visible[key]);
+    return {
+        ...relation,
+        ...(validFrom ? {validFrom} : {}),
+        ...(validTo ? {validTo} : {}),
+        ...(Object.keys(visible).length > 0 ? {properties: visible} : {})
+    };
+}
+
+/**
+ * Groups relations by their (already converted) relation type
+ * @param {Object[]} relations - Relations with a relationType
+ * @returns {Map} - Relation type to the relations of that type
+ */
+function groupByRelationType(relations) {
+    const groups = new Map();
+    for (const relation of relations) {
+        if (!groups.has(relation.relationType)) {
+            groups.set(relation.relationType, []);
+        }
+        groups.get(relation.relationType).push(relation);
+    }
+    return groups;
+}
+
+/**
+ * Builds the entity returned to the tools from a record holding `entity` and `observations`
+ * @param {Object} record - The Neo4j record
+ * @param {Object} [options]
+ * @param {boolean} [options.summaryOnly=false] - Replace the observations of a summarized entity by
+ *   its summary, keeping only the observations the summary doesn't cover yet (newObservations)
+ * @returns {Object} - The entity properties with its observations
+ */
+function toEntity(record, {summaryOnly = false} = {}) {
+    const entity = toPlainProperties(record.get('entity').properties);
+    const observations = toPlainValue(record.get('observations'));
+    for (const item of [entity, ...observations]) {
+        EMBEDDING_PROPERTIES.forEach((key) => delete item[key]);
+    }
+    delete entity.namespace;
+    const covered = new Set(entity.summaryObservationIds || []);
+    delete entity.summaryObservationIds;
+    if (!summaryOnly || !entity.summary) {
+        return {...entity, observations};
+    }
+    // The summary stands in for the observations it covers, the ones added since are returned as they are
+    const newObservations = observations.filter((observation) => !covered.has(observation.id));
+    return {
+        ...entity,
+        observationCount: observations.length,
+        ...(newObservations.length > 0 ? {newObservations} : {})
+    };
+}
+
+/**
+ * Builds the text embedded for an entity: its name, type and current observations
+ * @param {Object} entity - {name, entityType, observations: [content]}
+ * @returns {string} - The text
+ */
+function toEmbeddingText({name, entityType, observations}) {
+    return [name, entityType, ...observations].filter(Boolean).join('. ').slice(0, MAX_EMBEDDING_TEXT_LENGTH);
+}
+
+/**
+ * Checks a namespace name
+ * @param {string} namespace - The namespace
+ * @returns {string} - The namespace
+ * @throws {Error} - If it is not 1 to 64 letters, digits, dots, dashes or underscores
+ */
+function checkNamespace(namespace) {
+    if (typeof namespace !== 'string' || !NAMESPACE_PATTERN.test(namespace)) {
+        throw new Error(`Invalid namespace '${namespace}', use 1 to 64 letters, digits, dots, dashes or underscores`);
+    }
+    return namespace;
+}
+
+/**
+ * Checks a trash retention period
+ * @param {*} days - The period in days
+ * @param {string} [name='trashRetentionDays'] - The setting, used in the error message
+ * @returns {number} - The period
+ * @throws {Error} - If it is not a non-negative integer, a typo must never purge the whole trash
+ */
+function checkRetentionDays(days, name = 'trashRetentionDays') {
+    if (!Number.isInteger(days) || days < 0) {
+        throw new Error(`${name} must be a non-negative integer number of days, got ${JSON.stringify(days)}`);
+    }
+    return days;
+}
 
 class Neo4jMemory {
-    constructor(neo4jDriver, database = 'neo4j') {
+    /**
+     * @param {Object} neo4jDriver - The Neo4j driver
+     * @param {string} database - The database holding the memory graph
+     * @param {Object} [options]
+     * @param {boolean} [options.softDelete=true] - Move deleted entities to the trash instead of removing them
+     * @param {number} [options.trashRetentionDays=30] - Days a trashed entity is kept before purge_trash removes it
+     * @param {Object} [options.embeddings] - Embedding provider for semantic search, see tools/embeddings.js
+     * @param {string} [options.namespace='default'] - Namespace every read and write is scoped to
+     * @param {Object} [options.similarity] - Default near-duplicate check of addObservations: {method, threshold, action}
+     * @param {string} [options.typeValidation='lenient'] - How createEntities checks entity types: off, lenient or strict
+     * @param {string} [options.relationValidation='off'] - How createRelations checks relation types against the ontologies: off, lenient or strict
+     * @param {boolean} [options.trackAccess=true] - Count the reads of entities by openNodes, searchNodes and semanticSearch
+     * @param {Object} [options.summarizer] - Writes entity summaries for summarizeEntity: {summarize(entity)}, see tools/summaries.js
+     * @param {number} [options.summaryRefreshThreshold=10] - Changed observations after which a summary is written again, 0 never
+     */
+    constructor(neo4jDriver, database = 'neo4j', options = {}) {
         if (!neo4jDriver) {
             throw new Error('Neo4j driver is required');
         }
         this.neo4jDriver = neo4jDriver;
         this.database = database;
-        console.error(`Neo4jMemory initialized with database: ${database}`);
+        this.softDelete = options.softDelete ?? true;
+        this.trashRetentionDays = checkRetentionDays(options.trashRetentionDays ?? 30);
+        this.embeddings = options.embeddings ?? null;
+        this.namespace = checkNamespace(options.namespace ?? DEFAULT_NAMESPACE);
+        this.similarity = checkSimilaritySettings(options.similarity);
+        this.typeValidation = checkTypeValidation(options.typeValidation ?? 'lenient');
+        this.relationValidation = checkTypeValidation(options.relationValidation ?? 'off');
+        this.trackAccess = options.trackAccess ?? true;
+        this.summarizer = options.summarizer ?? null;
+        this.summaryRefreshThreshold = options.summaryRefreshThreshold ?? 10;
+        // Write transactions in flight, shared by the views of every namespace
+        this.writeGate = {active: 0, exclusive: false};
+        console.error(`Neo4jMemory initialized with database: ${database}, namespace: ${this.namespace}`);
 
         // Import debug logger at runtime to avoid circular dependencies
         // This will be a no-op if MCP_SEMMEM_DEBUG is not set
@@ -18,35 +524,229 @@ class Neo4jMemory {
         });
     }
 
-    async loadGraph() {
-        if (this.debugLogger) this.debugLogger.logFunctionStart('Neo4jMemory.loadGraph');
+    /**
+     * Returns a view of this memory scoped to another namespace, sharing the driver and options
+     * @param {string} namespace - The namespace
+     * @returns {Neo4jMemory} - This memory when the namespace is the same, otherwise the scoped view
+     * @throws {Error} - If the namespace name is invalid
+     */
+    forNamespace(namespace) {
+        if (namespace === this.namespace) {
+            return this;
+        }
+        return Object.assign(Object.create(Object.getPrototypeOf(this)), this, {namespace: checkNamespace(namespace)});
+    }
+
+    /**
+     * Wraps a transaction so every query receives the $namespace parameter
+     * @param {Object} tx - The transaction
+     * @returns {Object} - An object with the transaction's run method
+     */
+    scopeTransaction(tx) {
+        return {run: (query, params = {}) => tx.run(query, {namespace: this.namespace, ...params})};
+    }
+
+    /**
+     * Runs a unit of work inside a write transaction on a fresh session
+     * Queries run by the work receive the $namespace parameter of this memory
+     * @param {string} label - Name used for debug logging
+     * @param {Function} work - Receives the transaction and returns the result
+     * @param {Object} [options]
+     * @param {boolean} [options.exclusive=false] - Refuse to start while other writes are in flight,
+     *   and refuse other writes until this one has finished
+     * @returns {Promise<*>} - Whatever the unit of work returns
+     * @throws {Error} - If an exclusive write is running, or other writes are in flight for an exclusive one
+     */
+    async runWriteTransaction(label, work, {exclusive = false} = {}) {
+        if (this.writeGate.exclusive) {
+            throw new Error('The memory is being restored from a snapshot, try again when the restore has finished');
+        }
+        if (exclusive && this.writeGate.active > 0) {
+            throw new Error(`${this.writeGate.active} other write(s) in flight, try again when they have finished`);
+        }
+        this.writeGate.active++;
+        if (exclusive) {
+            this.writeGate.exclusive = true;
+        }
+        if (this.debugLogger) this.debugLogger.logFunctionStart(label);
+        const session = this.neo4jDriver.session({database: this.database});
+        try {
+            const result = await session.executeWrite((tx) => work(this.scopeTransaction(tx)));
+            if (this.debugLogger) this.debugLogger.logFunctionEnd(label, {success: true});
+            return result;
+        } catch (error) {
+            console.error(`Error in ${label}: ${error.message}`);
+            if (this.debugLogger) this.debugLogger.logFunctionError(label, error);
+            throw error;
+        } finally {
+            this.writeGate.active--;
+            if (exclusive) {
+                this.writeGate.exclusive = false;
+            }
+            await session.close();
+        }
+    }
+
+    /**
+     * Runs a unit of work inside a read transaction on a fresh session
+     * Queries run by the work receive the $namespace parameter of this memory
+     * @param {string} label - Name used for debug logging
+     * @param {Function} work - Receives the transaction and returns the result
+     * @returns {Promise<*>} - Whatever the unit of work returns
+     */
+    async runReadTransaction(label, work) {
+        const session = this.neo4jDriver.session({database: this.database});
+        try {
+            return await session.executeRead((tx) => work(this.scopeTransaction(tx)));
+        } catch (error) {
+            console.error(`Error in ${label}: ${error.message}`);
+            if (this.debugLogger) this.debugLogger.logFunctionError(label, error);
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    /**
+     * Runs a write transaction that records a versioned :EntityChange for every entity whose state it changes
+     * @param {string} label - Name used for debug logging
+     * @param {string} operation - The operation recorded on the change events
+     * @param {string[]|Function} entityNames - Names of the entities the work may change,
+     *   or a function receiving the transaction and resolving to them
+     * @param {Function} work - Receives the transaction and returns the result
+     * @param {Object} [details] - Extra information stored with the change events
+     * @param {Object} [options] - Options of runWriteTransaction
+     * @returns {Promise<*>} - Whatever the unit of work returns
+     */
+    async runTrackedWrite(label, operation, entityNames, work, details = null, options = {}) {
+        return this.runWriteTransaction(label, async (tx) => {
+            const names = typeof entityNames === 'function' ? await entityNames(tx) : entityNames;
+            const before = await this.captureEntityStates(tx, names);
+            const result = await work(tx);
+            const after = await this.captureEntityStates(tx, names);
+            await this.recordChanges(tx, operation, before, after, details);
+            return result;
+        }, options);
+    }
+
+    /**
+     * Reads the tracked state of entities: their properties, observations and outgoing relations
+     * @param {Object} tx - The transaction to read in
+     * @param {string[]} names - Names of the entities
+     * @returns {Promise<Map>} - Entity name to state, or to null when the entity does not exist
+     */
+    async captureEntityStates(tx, names) {
+        const result = await tx.run(`
+        UNWIND $names AS name
+        OPTIONAL MATCH (entity:Memory {namespace: $namespace, entityID: name})
+        CALL {
+            WITH entity
+            OPTIONAL MATCH (entity)-[:HAS_OBSERVATION]->(observation:Observation)
+            WHERE observation.supersededAt IS NULL
+            WITH observation ORDER BY observation.createdAt
+            RETURN collect(observation {.id, .content, .createdAt, .validFrom, .validTo, .source, .confidence, .tags}) AS observations
+        }
+        CALL {
+            WITH entity
+            OPTIONAL MATCH (entity)-[r]->(other:Memory)
+            WHERE r.deletedAt IS NULL AND r.supersededAt IS NULL AND other.deletedAt IS NULL
+            WITH r, other ORDER BY type(r), other.name
+            RETURN collect(r {to: other.name, relationType: type(r), properties: properties(r)}) AS relations
+        }
+        RETURN name, entity, observations, relations
+        `, {names: [...new Set(names)]});
+
+        const states = new Map();
+        for (const record of result.records) {
+            const entity = record.get('entity');
+            if (!entity) {
+                states.set(record.get('name'), null);
+                continue;
+            }
+            const {deletedAt, ...properties} = toPlainProperties(entity.properties);
+            UNTRACKED_ENTITY_PROPERTIES.forEach((key) => delete properties[key]);
+            states.set(record.get('name'), {
+                properties,
+                observations: toPlainValue(record.get('observations')),
+                relations: record.get('relations').map(toRelation),
+                ...(deletedAt ? {trashed: true} : {})
+            });
+        }
+        return states;
+    }
+
+    /**
+     * Creates an :EntityChange node, with the next version number, for every entity whose state differs
+     * @param {Object} tx - The transaction to write in
+     * @param {string} operation - The operation that changed the entities
+     * @param {Map} before - States captured before the operation
+     * @param {Map} after - States captured after the operation
+     * @param {Object} [details] - Extra information stored with the change events
+     * @param {Object} [options]
+     * @param {boolean} [options.recordUnchanged=false] - Also record entities whose state stayed the same
+     */
+    async recordChanges(tx, operation, before, after, details = null, {recordUnchanged = false} = {}) {
+        const changes = [];
+        for (const [entityName, previousState] of before) {
+            const nextState = after.get(entityName) ?? null;
+            if (recordUnchanged || JSON.stringify(previousState) !== JSON.stringify(nextState)) {
+                changes.push({
+                    entityName,
+                    before: previousState ? JSON.stringify(previousState) : null,
+                    after: nextState ? JSON.stringify(nextState) : null
+                });
+            }
+        }
+        if (changes.length === 0) {
+            return;
+        }
+        await tx.run(`
+        UNWIND $changes AS change
+        OPTIONAL MATCH (previous:EntityChange {namespace: $namespace, entityName: change.entityName})
+        WITH change, coalesce(max(previous.version), 0) AS lastVersion
+        CREATE (:EntityChange {
+            id: randomUUID(),
+            namespace: $namespace,
+            entityName: change.entityName,
+            version: lastVersion + 1,
+            operation: $operation,
+            timestamp: datetime({timezone: 'UTC'}),
+            before: change.before,
+            after: change.after,
+            details: $details
+        })
+        `, {changes, operation, details: details ? JSON.stringify(details) : null});
+    }
+
+    /**
+     * Loads all entities with their observations and the relations between them
+     * @param {Object} [options]
+     * @param {string} [options.asOf] - Return the graph as it was believed at this time (ISO 8601)
+     * @returns {Promise<Object>} - {entities, relations}
+     */
+    async loadGraph({asOf = null} = {}) {
+        if (this.debugLogger) this.debugLogger.logFunctionStart('Neo4jMemory.loadGraph', {asOf});
         console.error(`Creating session for database: '${this.database}'`);
         const session = this.neo4jDriver.session({database: this.database});
         try {
             console.error(`Loading graph from database: '${this.database}'`);
-            if (this.debugLogger) this.debugLogger.debugLog('Neo4jMemory.loadGraph', {query: 'MATCH (entity:Memory) OPTIONAL MATCH (entity)-[r]->(other) RETURN entity, collect(r) as relations'});
-            const res = await session.executeRead((tx) => tx.run(`
+            const query = `
         MATCH (entity:Memory)
-        OPTIONAL MATCH (entity)-[r]->(other)
-        RETURN entity, collect(r) as relations
-      `));
+        WHERE entity.namespace = $namespace AND ${believedAt('entity', 'deletedAt')}
+        ${OBSERVATIONS_SUBQUERY}
+        OPTIONAL MATCH (entity)-[r]->(other:Memory {namespace: $namespace})
+        WHERE ${believedAt('r', 'deletedAt', 'supersededAt')} AND ${believedAt('other', 'deletedAt')}
+        RETURN entity, observations, collect(r {from: entity.name, to: other.name, relationType: type(r), properties: properties(r)}) as relations
+      `;
+            if (this.debugLogger) this.debugLogger.debugLog('Neo4jMemory.loadGraph', {query});
+            const res = await session.executeRead((tx) => tx.run(query, {
+                namespace: this.namespace,
+                asOf: toTimestamp(asOf, 'asOf')
+            }));
             const kgMemory = res.records.reduce(
                 (kg, row) => {
-                    const entityNode = row.get('entity');
-                    const entityRelationships = row.get('relations');
-
-                    // Manually convert properties to handle Neo4j data types
-                    const entityProps = {};
-                    for (const [key, value] of Object.entries(entityNode.properties)) {
-                        if (value && typeof value === 'object' && value.constructor.name === 'DateTime') {
-                            entityProps[key] = value.toString();
-                        } else {
-                            entityProps[key] = value;
-                        }
-                    }
-                    kg.entities.push(entityProps);
-
-                    kg.relations.push(...entityRelationships.map((r) => r.properties));
+                    kg.entities.push(toEntity(row));
+                    kg.relations.push(...row.get('relations').map(toRelation));
                     return kg;
                 },
                 {entities: [], relations: []}
@@ -71,234 +771,1775 @@ class Neo4jMemory {
         } finally {
             await session.close();
         }
-        // Unreachable code removed
     }
 
-    async saveGraph(graph) {
-        if (this.debugLogger) this.debugLogger.logFunctionStart('Neo4jMemory.saveGraph', {
-            entityCount: graph.entities.length,
-            relationCount: graph.relations.length
+    /**
+     * Reads the given entities with their observations, and the relations between them
+     * Entities and relations in the trash and superseded facts are left out
+     * @param {Object} tx - The transaction to read in
+     * @param {string[]} names - Names of the entities to read
+     * @param {string} [asOf] - Read the entities as they were believed at this time (ISO 8601)
+     * @returns {Promise<Object>} - {entities, relations}
+     */
+    async readSubgraph(tx, names, asOf = null, {summaryOnly = false} = {}) {
+        const entitiesResult = await tx.run(`
+        MATCH (entity:Memory)
+        WHERE entity.namespace = $namespace AND entity.entityID IN $names AND ${believedAt('entity', 'deletedAt')}
+        ${OBSERVATIONS_SUBQUERY}
+        RETURN entity, observations
+        ORDER BY entity.entityID
+        `, {names, asOf});
+        const relationsResult = await tx.run(`
+        MATCH (from:Memory {namespace: $namespace})-[r]->(to:Memory {namespace: $namespace})
+        WHERE from.entityID IN $names AND to.entityID IN $names
+          AND ${believedAt('r', 'deletedAt', 'supersededAt')}
+          AND ${believedAt('from', 'deletedAt')} AND ${believedAt('to', 'deletedAt')}
+        RETURN r {from: from.name, to: to.name, relationType: type(r), properties: properties(r)} AS relation
+        `, {names, asOf});
+        return {
+            entities: entitiesResult.records.map((record) => toEntity(record, {summaryOnly})),
+            relations: relationsResult.records.map((record) => toRelation(record.get('relation')))
+        };
+    }
+
+    /**
+     * Creates entities, or replaces the entities that already have their names
+     * Entity types are checked against the registry of the namespace, see checkEntityTypes.
+     * @param {Array} entities - [{name, entityType, observations, ...properties}]
+     * @param {Object} [options]
+     * @param {string} [options.typeValidation] - off, lenient or strict, defaults to the setting of this memory
+     * @returns {Promise<Array>} - The entities, with their registered type and any warnings
+     * @throws {Error} - In strict mode, if an entity has an unknown or deprecated type or breaks its type's schema
+     */
+    async createEntities(entities, {typeValidation = this.typeValidation} = {}) {
+        checkTypeValidation(typeValidation);
+        const processedEntities = prepareEntities(entities);
+        const names = processedEntities.map((entity) => entity.name);
+        const created = await this.runTrackedWrite('Neo4jMemory.createEntities', 'create_entities', names,
+            (tx) => this.writeEntities(tx, processedEntities, typeValidation));
+        await this.refreshEmbeddings(names);
+        await this.refreshSummaries(names);
+
+        // Return the entities that were processed
+        return created;
+    }
+
+    /**
+     * Upserts entities prepared by prepareEntities within a transaction, see createEntities
+     * @param {Object} tx - The transaction to write in
+     * @param {Array} entities - [{name, entityType, observations, ...properties}]
+     * @param {string} typeValidation - off, lenient or strict
+     * @returns {Promise<Array>} - The entities, with their registered type and any warnings
+     */
+    async writeEntities(tx, entities, typeValidation) {
+        const types = typeValidation === 'off' ? [] : await this.readEntityTypes(tx);
+        const checked = checkEntityTypes(entities, types, typeValidation);
+        if (checked.errors.length > 0) {
+            throw new Error(`Entity type validation failed: ${checked.errors.join('; ')}`);
+        }
+
+        // Upsert only the given entities, an existing entity with the same name is replaced
+        // (an entity in the trash is taken out of it)
+        // Observations that are kept keep their original id and provenance, the others are superseded
+        // (closed with validTo) rather than deleted so they can still be read with asOf
+        // Observations become :Observation nodes, everything else is stored on the :Memory node
+        const entityRows = checked.entities.map((entity) => {
+            const {observations, ...properties} = entity;
+            delete properties.warnings;
+            return {
+                name: properties.name,
+                properties,
+                observations: uniqueObservations(observations.map((o) => normalizeObservation(o)))
+            };
         });
-        const session = this.neo4jDriver.session({database: this.database});
+        await tx.run(`
+        UNWIND $entities AS entity
+        MERGE (entityMemory:Memory {namespace: $namespace, entityID: entity.name})
+        ON CREATE SET entityMemory.createdAt = datetime({timezone: 'UTC'})
+        SET entityMemory += entity.properties,
+            entityMemory.updatedAt = datetime({timezone: 'UTC'})
+        REMOVE entityMemory.observations, entityMemory.deletedAt
+        WITH entityMemory, entity
+        CALL {
+            WITH entityMemory, entity
+            MATCH (entityMemory)-[:HAS_OBSERVATION]->(stale:Observation)
+            WHERE stale.supersededAt IS NULL AND NOT stale.content IN [o IN entity.observations | o.content]
+            SET stale.supersededAt = datetime({timezone: 'UTC'}),
+                stale.validTo = coalesce(stale.validTo, datetime({timezone: 'UTC'}))
+        }
+        CALL {
+            WITH entityMemory, entity
+            UNWIND entity.observations AS observation
+            WITH entityMemory, observation
+            WHERE NOT EXISTS {
+                MATCH (entityMemory)-[:HAS_OBSERVATION]->(existing:Observation {content: observation.content})
+                WHERE existing.supersededAt IS NULL
+            }
+            CREATE (entityMemory)-[:HAS_OBSERVATION]->(:Observation ${NEW_OBSERVATION_PROPERTIES})
+        }
+        `, {entities: entityRows});
+        return checked.entities;
+    }
 
-        // Create a deep copy of the graph
-        const processedGraph = JSON.parse(JSON.stringify(graph));
-
-        return session.executeWrite(async (txc) => {
-            const entitiesQuery = `
-        UNWIND $memoryGraph.entities as entity
-        MERGE (entityMemory:Memory { entityID: entity.name })
-        ON CREATE SET
-          entityMemory += entity,
-          entityMemory.createdAt = datetime({timezone: 'UTC'}),
-          entityMemory.updatedAt = datetime({timezone: 'UTC'})
-        ON MATCH SET
-          entityMemory += entity,
-          entityMemory.updatedAt = datetime({timezone: 'UTC'})
-        `;
-            if (this.debugLogger) {
-                this.debugLogger.debugLog('Neo4jMemory.saveGraph', {
-                    graph: graph,
-                    query: entitiesQuery
-                }, 'cypher');
-            }
-            await txc.run(
-                entitiesQuery,
-                {
-                    memoryGraph: processedGraph
+    /**
+     * Reads the entity type registry of the namespace
+     * @param {Object} tx - The transaction to read in
+     * @returns {Promise<Array>} - [{name, aliases, description, schema, deprecatedAt, replacedBy, createdAt, updatedAt}], ordered by name
+     */
+    async readEntityTypes(tx) {
+        const result = await tx.run(`
+        MATCH (type:EntityType {namespace: $namespace})
+        RETURN type
+        ORDER BY type.name
+        `);
+        return result.records.map((record) => {
+            const {schema, ...type} = toPlainProperties(record.get('type').properties);
+            delete type.namespace;
+            return {
+                aliases: [],
+                description: null,
+                deprecatedAt: null,
+                replacedBy: null,
+                ...type,
+                schema: schema ? JSON.parse(schema) : null
+            };
+        });
+    }
+
+    /**
+     * Creates relations between existing entities as native relationships
+     * The relation types are converted to relationship types first, e.g. "works at" becomes WORKS_AT
+     * Relations that already exist are left as they are, use updateRelation to change their properties.
+     * With supersede set, the current relations of the same type from the same entity to other
+     * entities are closed (validTo) instead of being kept, e.g. a new WORKS_AT replaces the old one.
+     * Relation types can be checked against the ontologies the entities are instances of, see checkRelationTypes.
+     * @param {Array} relations - [{from, to, relationType, properties?, validFrom?, validTo?, supersede?}]
+     * @param {Object} [options]
+     * @param {string} [options.relationValidation] - off, lenient or strict, defaults to the setting of this memory
+     * @returns {Promise<Array>} - The relations that did not exist yet, with their converted relation types and any warnings
+     * @throws {Error} - In strict mode, if an ontology of the entities doesn't declare a relation type between them
+     */
+    async createRelations(relations, {relationValidation = this.relationValidation} = {}) {
+        checkTypeValidation(relationValidation);
+        const uniqueRelations = await this.prepareRelations(relations);
+        const fromNames = uniqueRelations.map((r) => r.from);
+        return this.runTrackedWrite('Neo4jMemory.createRelations', 'create_relations', fromNames,
+            (tx) => this.writeRelations(tx, uniqueRelations, relationValidation));
+    }
+
+    /**
+     * Resolves the entity names of relations, converts their types and drops duplicates within the list
+     * @param {Array} relations - [{from, to, relationType, properties?, validFrom?, validTo?, supersede?}]
+     * @returns {Promise<Array>} - The relations to write with writeRelations
+     */
+    async prepareRelations(relations) {
+        const resolved = await this.resolveEntityNames(relations.flatMap((r) => [r.from, r.to]));
+        const typedRelations = relations.map((r) => ({
+            from: resolved.get(r.from),
+            to: resolved.get(r.to),
+            relationType: toRelationshipType(r.relationType),
+            properties: normalizeRelationProperties(r.properties),
+            validFrom: toTimestamp(r.validFrom, 'validFrom'),
+            validTo: toTimestamp(r.validTo, 'validTo'),
+            supersede: r.supersede === true
+        }));
+
+        // Drop duplicates within the request, writeRelations only guards against existing relations
+        return typedRelations.filter((r, index) => typedRelations.findIndex(
+            (other) => other.from === r.from && other.to === r.to && other.relationType === r.relationType
+        ) === index);
+    }
+
+    /**
+     * Writes relations prepared by prepareRelations within a transaction, see createRelations
+     * @param {Object} tx - The transaction to write in
+     * @param {Array} relations - The prepared relations
+     * @param {string} [relationValidation='off'] - off, lenient or strict
+     * @returns {Promise<Array>} - The relations that did not exist yet
+     */
+    async writeRelations(tx, relations, relationValidation = 'off') {
+        const rules = relationValidation === 'off'
+            ? null
+            : await this.readRelationRules(tx, relations.flatMap((r) => [r.from, r.to]));
+        const checked = rules ? checkRelationTypes(relations, rules, relationValidation) : {relations, errors: []};
+        if (checked.errors.length > 0) {
+            throw new Error(`Relation validation failed: ${checked.errors.join('; ')}`);
+        }
+
+        const created = [];
+        // Relationship types can't be parameters, so relations are written one type at a time
+        for (const [relationType, group] of groupByRelationType(checked.relations)) {
+            const result = await tx.run(`
+            UNWIND $relations AS relation
+            MATCH (from:Memory {namespace: $namespace, entityID: relation.from}), (to:Memory {namespace: $namespace, entityID: relation.to})
+            WHERE from.deletedAt IS NULL AND to.deletedAt IS NULL
+              AND NOT EXISTS {
+                  MATCH (from)-[existing:\`${relationType}\`]->(to)
+                  WHERE existing.deletedAt IS NULL AND existing.supersededAt IS NULL
+              }
+            CALL {
+                WITH from, to, relation
+                OPTIONAL MATCH (from)-[previous:\`${relationType}\`]->(other:Memory)
+                WHERE relation.supersede AND other <> to
+                  AND previous.deletedAt IS NULL AND previous.supersededAt IS NULL
+                SET previous.supersededAt = datetime({timezone: 'UTC'}),
+                    previous.validTo = coalesce(previous.validTo, datetime(relation.validFrom), datetime({timezone: 'UTC'}))
+                RETURN collect(other.name) AS superseded
+            }
+            // Closed relations are kept for asOf reads, so a new relationship is always created
+            CREATE (from)-[r:\`${relationType}\`]->(to)
+            SET r = relation.properties,
+                r.createdAt = datetime({timezone: 'UTC'}),
+                r.validFrom = coalesce(datetime(relation.validFrom), datetime({timezone: 'UTC'})),
+                r.validTo = datetime(relation.validTo)
+            RETURN r {from: from.name, to: to.name, relationType: type(r), properties: properties(r)} AS created,
+                   superseded, relation.warnings AS warnings, relation.suggestedRelationTypes AS suggestedRelationTypes
+            `, {relations: group.map((r) => ({...r, warnings: r.warnings ?? [], suggestedRelationTypes: r.suggestedRelationTypes ?? []}))});
+            created.push(...result.records.map((record) => {
+                const superseded = record.get('superseded');
+                const warnings = record.get('warnings');
+                const suggestedRelationTypes = record.get('suggestedRelationTypes');
+                return {
+                    ...toRelation(record.get('created')),
+                    ...(superseded.length > 0 ? {superseded} : {}),
+                    ...(warnings.length > 0 ? {warnings} : {}),
+                    ...(suggestedRelationTypes.length > 0 ? {suggestedRelationTypes} : {})
+                };
+            }));
+        }
+        return created;
+    }
+
+    /**
+     * Reads what checkRelationTypes needs about entities: the ontology classes they are instances of,
+     * with the ancestors of these classes, and the relationships declared by those ontologies
+     * @param {Object} tx - The transaction to read in
+     * @param {string[]} entityNames - Names of the entities
+     * @returns {Promise<Object>} - {classes: Map of entity name to Map of ontology to Set of normalized class names,
+     *                             triples: Map of ontology to [{from, type, to}] with normalized class names and relationship types}
+     */
+    async readRelationRules(tx, entityNames) {
+        const result = await tx.run(`
+        MATCH (entity:Memory)-[:INSTANCE_OF]->(class:OntologyEntity)
+        WHERE entity.namespace = $namespace AND entity.entityID IN $entityNames
+        CALL {
+            WITH class
+            MATCH (class)<-[:PARENT_OF*0..${MAX_HIERARCHY_DEPTH}]-(ancestor:OntologyEntity)
+            RETURN ancestor
+            UNION
+            WITH class
+            MATCH (class)-[:CHILD_OF*1..${MAX_HIERARCHY_DEPTH}]->(ancestor:OntologyEntity)
+            RETURN ancestor
+        }
+        MATCH (ontology:BaseOntology)-[:HAS_ENTITY]->(ancestor)
+        RETURN entity.entityID AS name, ontology.subject AS ontology, ontology.structure AS structure,
+               collect(DISTINCT ancestor.name) AS classes
+        `, {entityNames: [...new Set(entityNames)]});
+
+        const classes = new Map();
+        const triples = new Map();
+        for (const record of result.records) {
+            const name = record.get('name');
+            const ontology = record.get('ontology');
+            if (!classes.has(name)) {
+                classes.set(name, new Map());
+            }
+            classes.get(name).set(ontology, new Set(record.get('classes').map((c) => normalizeText(toClassName(c)))));
+            if (!triples.has(ontology)) {
+                triples.set(ontology, parseOntologyStructure(ontology, record.get('structure')).relationships.flatMap((triple) => {
+                    try {
+                        return [{from: normalizeText(triple.from), type: toRelationshipType(triple.type), to: normalizeText(triple.to)}];
+                    } catch {
+                        // A type that can't be a relationship type can't match a relation either
+                        return [];
+                    }
+                }));
+            }
+        }
+        return {classes, triples};
+    }
+
+    /**
+     * Adds observations to existing entities, skipping contents the entity already has
+     * Contents are compared after normalizing case, Unicode forms, punctuation and whitespace, so
+     * "likes coffee." is a duplicate of "Likes coffee". A similarity check can also catch near-duplicates:
+     * lexical compares the characters of the texts, embedding their meaning through the embedding provider.
+     * Near-duplicates are added and reported (flag) or skipped (reject).
+     * Each entry may carry source, confidence, tags and validFrom that apply to all of its contents,
+     * and each content may be a string or an object overriding them.
+     * The current observations listed in supersedes are closed (validTo) rather than deleted.
+     * @param {Array} entries - [{entityName, contents, source?, confidence?, tags?, validFrom?, supersedes?}]
+     * @param {Object} [similarity] - {method, threshold, action}, overriding the settings of this memory
+     * @returns {Promise<Array>} - [{entityName, addedObservations, skippedObservations?, similarObservations?, supersededObservations?}]
+     */
+    async addObservations(entries, similarity = {}) {
+        const prepared = await this.prepareObservations(entries, similarity);
+        const added = await this.runTrackedWrite('Neo4jMemory.addObservations', 'add_observations', prepared.entityNames,
+            (tx) => this.writeObservations(tx, prepared));
+        await this.refreshEmbeddings(prepared.entityNames);
+        await this.refreshSummaries(prepared.entityNames);
+        return added;
+    }
+
+    /**
+     * Resolves the entity names of observation entries and settles the similarity check, see addObservations
+     * With the embedding method the new contents and the current observations of the entities are embedded here,
+     * so the transaction doesn't wait on the provider.
+     * @param {Array} entries - [{entityName, contents, source?, confidence?, tags?, validFrom?, supersedes?}]
+     * @param {Object} [similarity] - {method, threshold, action}, overriding the settings of this memory
+     * @returns {Promise<Object>} - {observations, entityNames, check, vectors} to write with writeObservations
+     */
+    async prepareObservations(entries, similarity = {}) {
+        const overrides = Object.fromEntries(Object.entries(similarity).filter(([, value]) => value !== undefined));
+        // Another method brings its own default threshold
+        const inherited = overrides.method && overrides.method !== this.similarity.method
+            ? {...this.similarity, threshold: undefined}
+            : this.similarity;
+        const check = checkSimilaritySettings({...inherited, ...overrides});
+        const resolved = await this.resolveEntityNames(entries.map((o) => o.entityName));
+        const observations = entries.map((o) => ({...o, entityName: resolved.get(o.entityName)}));
+        const entityNames = [...new Set(observations.map((o) => o.entityName))];
+
+        const vectors = new Map();
+        if (check.method === 'embedding') {
+            if (!this.embeddings) {
+                throw new Error('Embeddings are disabled, set EMBEDDING_PROVIDER to check observations by embedding');
+            }
+            // Stored embeddings of the current model are reused, the others are embedded now
+            const current = await this.runReadTransaction('Neo4jMemory.prepareObservations', (tx) => tx.run(`
+            MATCH (entity:Memory)-[:HAS_OBSERVATION]->(observation:Observation)
+            WHERE entity.namespace = $namespace AND entity.entityID IN $entityNames AND observation.supersededAt IS NULL
+            RETURN observation.content AS content,
+                   CASE WHEN observation.embeddingModel = $model THEN observation.embedding END AS embedding
+            `, {entityNames, model: this.embeddings.id}));
+            for (const record of current.records) {
+                if (record.get('embedding') && !vectors.has(record.get('content'))) {
+                    vectors.set(record.get('content'), record.get('embedding'));
                 }
-            );
-            await txc.run(
-                `
-        UNWIND $memoryGraph.relations as relation
-        MATCH (from:Memory),(to:Memory)
-        WHERE from.entityID = relation.from
-          AND  to.entityID = relation.to
-        MERGE (from)-[r:Memory {relationType:relation.relationType}]->(to)
-        `,
-                {
-                    memoryGraph: graph
+            }
+            await this.embedContents(vectors, [
+                ...observations.flatMap((o) => o.contents.map((c) => (typeof c === 'string' ? c : c?.content))),
+                ...current.records.map((record) => record.get('content'))
+            ]);
+        }
+        return {observations, entityNames, check, vectors};
+    }
+
+    /**
+     * Adds observations prepared by prepareObservations within a transaction, see addObservations
+     * @param {Object} tx - The transaction to write in
+     * @param {Object} prepared - {observations, entityNames, check, vectors}
+     * @returns {Promise<Array>} - [{entityName, addedObservations, skippedObservations?, similarObservations?, supersededObservations?}]
+     * @throws {Error} - If an entity doesn't exist
+     */
+    async writeObservations(tx, {observations, entityNames, check, vectors}) {
+        const existing = await tx.run(`
+        MATCH (entity:Memory)
+        WHERE entity.namespace = $namespace AND entity.entityID IN $entityNames AND entity.deletedAt IS NULL
+        RETURN collect(entity.entityID) AS names
+        `, {entityNames});
+        const existingNames = existing.records[0].get('names');
+        const missingName = entityNames.find((name) => !existingNames.includes(name));
+        if (missingName !== undefined) {
+            throw new Error(`Entity with name ${missingName} not found`);
+        }
+
+        // Apply each request in turn so later ones see the observations added by earlier ones
+        const results = [];
+        for (const o of observations) {
+            const defaults = {source: o.source, confidence: o.confidence, tags: o.tags, validFrom: o.validFrom};
+            const contents = uniqueObservations(o.contents.map((content) => normalizeObservation(content, defaults)));
+            const supersedes = (o.supersedes || []).filter((content) => !contents.some((c) => c.content === content));
+            let supersededObservations = [];
+            if (supersedes.length > 0) {
+                const superseded = await tx.run(`
+                MATCH (:Memory {namespace: $namespace, entityID: $entityName})-[:HAS_OBSERVATION]->(observation:Observation)
+                WHERE observation.content IN $supersedes AND observation.supersededAt IS NULL
+                SET observation.supersededAt = datetime({timezone: 'UTC'}),
+                    observation.validTo = coalesce(observation.validTo, datetime($validFrom), datetime({timezone: 'UTC'}))
+                RETURN collect(observation.content) AS contents
+                `, {entityName: o.entityName, supersedes, validFrom: toTimestamp(o.validFrom, 'validFrom')});
+                supersededObservations = superseded.records[0].get('contents');
+            }
+
+            const current = await tx.run(`
+            MATCH (:Memory {namespace: $namespace, entityID: $entityName})-[:HAS_OBSERVATION]->(observation:Observation)
+            WHERE observation.supersededAt IS NULL
+            RETURN observation.content AS content
+            `, {entityName: o.entityName});
+            const candidates = current.records.map((record) => ({
+                content: record.get('content'),
+                normalized: normalizeText(record.get('content'))
+            }));
+
+            // New contents are also compared with the ones accepted before them in the same entry
+            const newObservations = [];
+            const skippedObservations = [];
+            const similarObservations = [];
+            for (const observation of contents) {
+                const normalized = normalizeText(observation.content);
+                const duplicate = candidates.find((c) => c.normalized === normalized);
+                if (duplicate) {
+                    skippedObservations.push({content: observation.content, duplicateOf: duplicate.content});
+                    continue;
                 }
-            );
-            if (this.debugLogger) this.debugLogger.logFunctionEnd('Neo4jMemory.saveGraph', {success: true});
-            return 'Graph saved successfully';
-        }).catch(error => {
-            if (this.debugLogger) this.debugLogger.logFunctionError('Neo4jMemory.saveGraph', error);
-            throw error;
-        });
+                const similar = this.mostSimilarObservation(observation.content, normalized, candidates, check, vectors);
+                if (similar && check.action === 'reject') {
+                    skippedObservations.push({content: observation.content, duplicateOf: similar.content, similarity: similar.score});
+                    continue;
+                }
+                if (similar) {
+                    similarObservations.push({content: observation.content, similarTo: similar.content, similarity: similar.score});
+                }
+                newObservations.push(observation);
+                candidates.push({content: observation.content, normalized});
+            }
+
+            const result = await tx.run(`
+            MATCH (entity:Memory {namespace: $namespace, entityID: $entityName})
+            FOREACH (observation IN $newObservations |
+                CREATE (entity)-[:HAS_OBSERVATION]->(:Observation ${NEW_OBSERVATION_PROPERTIES})
+            )
+            SET entity.updatedAt = datetime({timezone: 'UTC'})
+            RETURN [observation IN $newObservations | observation.content] AS addedObservations
+            `, {entityName: o.entityName, newObservations});
+            results.push({
+                entityName: o.entityName,
+                addedObservations: result.records[0].get('addedObservations'),
+                ...(skippedObservations.length > 0 ? {skippedObservations} : {}),
+                ...(similarObservations.length > 0 ? {similarObservations} : {}),
+                ...(supersededObservations.length > 0 ? {supersededObservations} : {})
+            });
+        }
+        return results;
     }
 
-    async createEntities(entities) {
-        const graph = await this.loadGraph();
+    /**
+     * Creates entities, adds observations and creates relations in one transaction, so either all of
+     * them are written or none. They are written in that order: observations and relations may refer
+     * to the entities created along with them. The change is recorded in history under `operation`.
+     * @param {Object} changes - {entities, observations, relations} as taken by createEntities, addObservations and createRelations
+     * @param {Object} [options]
+     * @param {string} [options.operation='apply_changes'] - Operation the change is recorded under
+     * @param {Object} [options.details] - Details recorded with the change
+     * @param {string} [options.typeValidation] - off, lenient or strict, defaults to the setting of this memory
+     * @param {Object} [options.similarity] - {method, threshold, action}, overriding the settings of this memory
+     * @param {string} [options.relationValidation] - off, lenient or strict, defaults to the setting of this memory
+     * @returns {Promise<Object>} - {entities, observations, relations}, as returned by the three methods
+     */
+    async applyChanges({entities = [], observations = [], relations = []}, {
+        operation = 'apply_changes',
+        details = null,
+        typeValidation = this.typeValidation,
+        similarity = {},
+        relationValidation = this.relationValidation
+    } = {}) {
+        checkTypeValidation(typeValidation);
+        checkTypeValidation(relationValidation);
+        const processedEntities = prepareEntities(entities);
+        const preparedObservations = await this.prepareObservations(observations, similarity);
+        const preparedRelations = await this.prepareRelations(relations);
+        const names = [...new Set([
+            ...processedEntities.map((entity) => entity.name),
+            ...preparedObservations.entityNames,
+            ...preparedRelations.map((r) => r.from)
+        ])];
+        const applied = await this.runTrackedWrite('Neo4jMemory.applyChanges', operation, names, async (tx) => ({
+            entities: await this.writeEntities(tx, processedEntities, typeValidation),
+            observations: await this.writeObservations(tx, preparedObservations),
+            relations: await this.writeRelations(tx, preparedRelations, relationValidation)
+        }), details);
+        await this.refreshEmbeddings(names);
+        await this.refreshSummaries(names);
+        return applied;
+    }
 
-        // Prepare entities with observations
-        const processedEntities = entities.map(entity => {
-            // Make a copy of the entity to avoid mutating the original
-            const processedEntity = {...entity};
+    /**
+     * Embeds the texts that don't have a vector yet
+     * @param {Map} vectors - Text to vector, extended in place
+     * @param {string[]} texts - The texts
+     * @returns {Promise<void>}
+     */
+    async embedContents(vectors, texts) {
+        const missing = [...new Set(texts.filter((text) => typeof text === 'string' && text !== '' && !vectors.has(text)))];
+        if (missing.length === 0) {
+            return;
+        }
+        const embedded = await this.embeddings.embed(missing);
+        missing.forEach((text, i) => vectors.set(text, embedded[i]));
+    }
 
-            // Ensure observations is an array
-            if (!processedEntity.observations || !Array.isArray(processedEntity.observations)) {
-                processedEntity.observations = [];
+    /**
+     * Finds the observation most similar to a new content, if it reaches the threshold of the check
+     * @param {string} content - The new content
+     * @param {string} normalized - The normalized new content
+     * @param {Object[]} candidates - The current observations, [{content, normalized}]
+     * @param {Object} check - {method, threshold}
+     * @param {Map} vectors - Text to embedding, used by the embedding method
+     * @returns {Object|null} - {content, score} of the most similar observation, or null
+     */
+    mostSimilarObservation(content, normalized, candidates, {method, threshold}, vectors) {
+        if (method === 'none') {
+            return null;
+        }
+        let best = null;
+        for (const candidate of candidates) {
+            // Observations added since prepareObservations have no embedding and are only compared exactly
+            if (method === 'embedding' && !vectors.has(candidate.content)) {
+                continue;
+            }
+            const score = method === 'lexical'
+                ? lexicalSimilarity(normalized, candidate.normalized)
+                : cosineSimilarity(vectors.get(content), vectors.get(candidate.content));
+            if (score >= threshold && (!best || score > best.score)) {
+                best = {content: candidate.content, score: Math.round(score * 1000) / 1000};
             }
+        }
+        return best;
+    }
+
+    /**
+     * Deletes entities by name. With soft delete enabled the entities and their relations are moved
+     * to the trash, from where restoreEntities brings them back, otherwise they are removed for good.
+     * @param {string[]} entityNames - Names or aliases of the entities to delete
+     * @param {Object} [options]
+     * @param {boolean} [options.permanent] - Remove the entities for good, defaults to the inverse of the soft delete setting
+     * @returns {Promise<Object>} - {deletedCount, permanent}
+     */
+    async deleteEntities(entityNames, {permanent = !this.softDelete} = {}) {
+        if (!entityNames || entityNames.length === 0) {
+            console.error('No entity names provided for deletion');
+            return {deletedCount: 0, permanent};
+        }
+
+        console.error(`${permanent ? 'Deleting' : 'Trashing'} entities: ${JSON.stringify(entityNames)}`);
+        const resolved = await this.resolveEntityNames(entityNames);
+        const names = [...new Set(entityNames.map((name) => resolved.get(name)))];
+
+        // Entities with relations into the deleted ones lose those relations, so their history is recorded too
+        const affectedNames = async (tx) => {
+            const result = await tx.run(`
+            MATCH (source:Memory)-->(entity:Memory {namespace: $namespace})
+            WHERE entity.entityID IN $names
+            RETURN collect(DISTINCT source.entityID) AS sources
+            `, {names});
+            return [...names, ...result.records[0].get('sources')];
+        };
+
+        // Soft delete marks the entity and its live relations with the same deletedAt,
+        // which is how restoreEntities finds the relations that went to the trash with it
+        const query = permanent ? `
+            MATCH (entity:Memory)
+            WHERE entity.namespace = $namespace AND entity.entityID IN $names
+            ${DETACH_DELETE_ENTITY}
+            RETURN count(entity) as deletedCount` : `
+            MATCH (entity:Memory)
+            WHERE entity.namespace = $namespace AND entity.entityID IN $names AND entity.deletedAt IS NULL
+            SET entity.deletedAt = datetime({timezone: 'UTC'})
+            WITH entity
+            CALL {
+                WITH entity
+                MATCH (entity)-[r]-(:Memory)
+                WHERE r.deletedAt IS NULL
+                SET r.deletedAt = entity.deletedAt
+            }
+            RETURN count(entity) as deletedCount`;
+        const operation = permanent ? 'delete_entities' : 'trash_entities';
+        const result = await this.runTrackedWrite('Neo4jMemory.deleteEntities', operation, affectedNames,
+            (tx) => tx.run(query, {names}));
+
+        const deletedCount = result.records[0]?.get('deletedCount')?.toNumber() || 0;
+        console.error(`${permanent ? 'Deleted' : 'Trashed'} ${deletedCount} entities`);
+
+        if (deletedCount !== names.length) {
+            console.error(`Warning: Requested to delete ${names.length} entities, but only deleted ${deletedCount}`);
+        }
+        return {deletedCount, permanent};
+    }
 
-            return processedEntity;
+    /**
+     * Lists the entities in the trash, most recently deleted first
+     * @returns {Promise<Array>} - [{name, entityType, deletedAt, purgeAfter, observationCount, relationCount}]
+     */
+    async listTrash() {
+        const result = await this.runReadTransaction('Neo4jMemory.listTrash', (tx) => tx.run(`
+        MATCH (entity:Memory)
+        WHERE entity.namespace = $namespace AND entity.deletedAt IS NOT NULL
+        RETURN entity.name AS name,
+               entity.entityType AS entityType,
+               entity.deletedAt AS deletedAt,
+               entity.deletedAt + duration({days: $retentionDays}) AS purgeAfter,
+               COUNT { (entity)-[:HAS_OBSERVATION]->(:Observation) } AS observationCount,
+               COUNT { (entity)-[r]-(:Memory) WHERE r.deletedAt = entity.deletedAt } AS relationCount
+        ORDER BY deletedAt DESC
+        `, {retentionDays: int(this.trashRetentionDays)}));
+        return result.records.map((record) => toPlainProperties(record.toObject()));
+    }
+
+    /**
+     * Takes entities out of the trash together with the relations that were trashed with them
+     * A relation whose other end is still in the trash stays hidden until that entity is restored too
+     * @param {string[]} entityNames - Names of the entities to restore
+     * @returns {Promise<Object>} - {restored, notInTrash}
+     */
+    async restoreEntities(entityNames) {
+        const affectedNames = async (tx) => {
+            const result = await tx.run(`
+            MATCH (source:Memory)-->(entity:Memory {namespace: $namespace})
+            WHERE entity.entityID IN $entityNames
+            RETURN collect(DISTINCT source.entityID) AS sources
+            `, {entityNames});
+            return [...entityNames, ...result.records[0].get('sources')];
+        };
+        const result = await this.runTrackedWrite('Neo4jMemory.restoreEntities', 'restore_entities', affectedNames, (tx) => tx.run(`
+        MATCH (entity:Memory)
+        WHERE entity.namespace = $namespace AND entity.entityID IN $entityNames AND entity.deletedAt IS NOT NULL
+        CALL {
+            WITH entity
+            MATCH (entity)-[r]-(:Memory)
+            WHERE r.deletedAt = entity.deletedAt
+            REMOVE r.deletedAt
+        }
+        REMOVE entity.deletedAt
+        SET entity.updatedAt = datetime({timezone: 'UTC'})
+        RETURN entity.entityID AS name
+        `, {entityNames}));
+        const restored = result.records.map((record) => record.get('name'));
+        return {
+            restored,
+            notInTrash: entityNames.filter((name) => !restored.includes(name))
+        };
+    }
+
+    /**
+     * Permanently removes trashed entities and relations that were deleted longer ago than the retention period
+     * @param {Object} [options]
+     * @param {number} [options.olderThanDays] - Retention period in days, defaults to the configured one
+     * @param {string[]} [options.entityNames] - Purge only these trashed entities, regardless of their age
+     * @returns {Promise<Object>} - {purgedEntities, purgedRelations}
+     */
+    async purgeTrash({olderThanDays = this.trashRetentionDays, entityNames = null} = {}) {
+        const cutoffFilter = entityNames
+            ? 'entity.entityID IN $entityNames'
+            : 'entity.deletedAt < datetime({timezone: \'UTC\'}) - duration({days: $olderThanDays})';
+        const params = {entityNames, olderThanDays: int(checkRetentionDays(olderThanDays, 'olderThanDays'))};
+        const purgedNames = async (tx) => {
+            const result = await tx.run(`
+            MATCH (entity:Memory)
+            WHERE entity.namespace = $namespace AND entity.deletedAt IS NOT NULL AND ${cutoffFilter}
+            RETURN collect(entity.entityID) AS names
+            `, params);
+            return result.records[0].get('names');
+        };
+        return this.runTrackedWrite('Neo4jMemory.purgeTrash', 'purge_trash', purgedNames, async (tx) => {
+            const entities = await tx.run(`
+            MATCH (entity:Memory)
+            WHERE entity.namespace = $namespace AND entity.deletedAt IS NOT NULL AND ${cutoffFilter}
+            WITH entity, entity.name AS name
+            ${DETACH_DELETE_ENTITY}
+            RETURN collect(name) AS purged
+            `, params);
+
+            // Relations trashed with an entity that was later re-created are left behind in the trash
+            let purgedRelations = 0;
+            if (!entityNames) {
+                const relations = await tx.run(`
+                MATCH (:Memory {namespace: $namespace})-[r]->(:Memory)
+                WHERE r.deletedAt < datetime({timezone: 'UTC'}) - duration({days: $olderThanDays})
+                DELETE r
+                RETURN count(r) AS purged
+                `, params);
+                purgedRelations = relations.records[0].get('purged').toNumber();
+            }
+            return {purgedEntities: entities.records[0].get('purged'), purgedRelations};
         });
+    }
 
-        // Upsert logic: update existing entities or add new ones
-        processedEntities.forEach(entityToUpsert => {
-            const existingEntityIndex = graph.entities.findIndex(e => e.name === entityToUpsert.name);
-            if (existingEntityIndex !== -1) {
-                // Update existing entity by replacing it
-                graph.entities[existingEntityIndex] = entityToUpsert;
-            } else {
-                // Add new entity
-                graph.entities.push(entityToUpsert);
+    async deleteObservations(deletions) {
+        const entityNames = deletions.map((d) => d.entityName);
+        await this.runTrackedWrite('Neo4jMemory.deleteObservations', 'delete_observations', entityNames, (tx) => tx.run(`
+        UNWIND $deletions AS deletion
+        MATCH (entity:Memory {namespace: $namespace, entityID: deletion.entityName})
+        WHERE entity.deletedAt IS NULL
+        SET entity.updatedAt = datetime({timezone: 'UTC'})
+        WITH entity, deletion
+        MATCH (entity)-[:HAS_OBSERVATION]->(observation:Observation)
+        WHERE observation.content IN deletion.observations AND observation.supersededAt IS NULL
+        // Deleted observations are closed rather than removed, so asOf reads still see them
+        SET observation.supersededAt = datetime({timezone: 'UTC'}),
+            observation.validTo = coalesce(observation.validTo, datetime({timezone: 'UTC'}))
+        `, {deletions}));
+        await this.refreshEmbeddings(entityNames);
+        await this.refreshSummaries(entityNames);
+    }
+
+    async deleteRelations(relations) {
+        const typedRelations = relations.map((r) => ({...r, relationType: toRelationshipType(r.relationType)}));
+        const fromNames = typedRelations.map((r) => r.from);
+        await this.runTrackedWrite('Neo4jMemory.deleteRelations', 'delete_relations', fromNames, async (tx) => {
+            for (const [relationType, group] of groupByRelationType(typedRelations)) {
+                await tx.run(`
+                UNWIND $relations AS relation
+                MATCH (from:Memory {namespace: $namespace, entityID: relation.from})-[r:\`${relationType}\`]->(to:Memory {namespace: $namespace, entityID: relation.to})
+                WHERE r.deletedAt IS NULL AND r.supersededAt IS NULL
+                // Deleted relations are closed rather than removed, so asOf reads still see them
+                SET r.supersededAt = datetime({timezone: 'UTC'}),
+                    r.validTo = coalesce(r.validTo, datetime({timezone: 'UTC'}))
+                `, {relations: group});
             }
         });
+        await this.refreshEmbeddings(fromNames);
+        await this.refreshSummaries(fromNames);
+    }
 
-        await this.saveGraph(graph);
-        // Return the entities that were processed
-        return processedEntities;
+    /**
+     * Changes the properties of an existing relation in place
+     * @param {Object} relation - {from, to, relationType}
+     * @param {Object} [properties] - Properties to set or overwrite
+     * @param {string[]} [removeProperties] - Names of properties to remove
+     * @returns {Promise<Object>} - The updated relation
+     */
+    async updateRelation(relation, properties = {}, removeProperties = []) {
+        const resolved = await this.resolveEntityNames([relation.from, relation.to]);
+        const from = resolved.get(relation.from);
+        const to = resolved.get(relation.to);
+        const type = toRelationshipType(relation.relationType);
+        const changes = normalizeRelationProperties(properties);
+        for (const key of removeProperties) {
+            if (INTERNAL_RELATION_PROPERTIES.includes(key)) {
+                throw new Error(`Relation property '${key}' is reserved for the memory graph`);
+            }
+            // Setting a property to null with += removes it
+            changes[key] = null;
+        }
+
+        return this.runTrackedWrite('Neo4jMemory.updateRelation', 'update_relation', [from], async (tx) => {
+            const result = await tx.run(`
+            MATCH (from:Memory {namespace: $namespace, entityID: $from})-[r:\`${type}\`]->(to:Memory {namespace: $namespace, entityID: $to})
+            WHERE r.deletedAt IS NULL AND r.supersededAt IS NULL AND from.deletedAt IS NULL AND to.deletedAt IS NULL
+            SET r += $changes
+            RETURN r {from: from.name, to: to.name, relationType: type(r), properties: properties(r)} AS relation
+            `, {from, to, changes});
+            if (result.records.length === 0) {
+                throw new Error(`Relation ${from} -[${type}]-> ${to} not found`);
+            }
+            return toRelation(result.records[0].get('relation'));
+        });
     }
 
-    async createRelations(relations) {
-        const graph = await this.loadGraph();
-        const newRelations = relations.filter((r) => !graph.relations.some(
-            (existingRelation) => existingRelation.from === r.from && existingRelation.to === r.to && existingRelation.relationType === r.relationType
-        ));
-        graph.relations.push(...newRelations);
-        await this.saveGraph(graph);
-        return newRelations;
+    /**
+     * Maps entity names to the names they are stored under, following the aliases left by mergeEntities
+     * A name that belongs to an existing entity always resolves to that entity
+     * @param {string[]} names - Entity names or aliases
+     * @returns {Promise<Map>} - Name to entity name, names matching nothing map to themselves
+     */
+    async resolveEntityNames(names) {
+        const result = await this.runReadTransaction('Neo4jMemory.resolveEntityNames', (tx) => tx.run(`
+        UNWIND $names AS name
+        OPTIONAL MATCH (entity:Memory {namespace: $namespace, entityID: name})
+        WITH name, entity
+        CALL {
+            WITH name, entity
+            OPTIONAL MATCH (aliased:Memory)
+            WHERE aliased.namespace = $namespace AND entity IS NULL AND name IN aliased.aliases AND aliased.deletedAt IS NULL
+            RETURN aliased.entityID AS aliasOf LIMIT 1
+        }
+        RETURN name, coalesce(aliasOf, name) AS entityName
+        `, {names: [...new Set(names)]}));
+        return new Map(result.records.map((record) => [record.get('name'), record.get('entityName')]));
     }
 
-    async addObservations(observations) {
-        const graph = await this.loadGraph();
-        const results = observations.map((o) => {
-            const entity = graph.entities.find((e) => e.name === o.entityName);
-            if (!entity) {
-                throw new Error(`Entity with name ${o.entityName} not found`);
+    /**
+     * Folds source entities into a target entity. The observations of the sources are moved to the
+     * target unless it already has the same content, and every relation of the sources is re-pointed
+     * to the target, dropping those that would duplicate a relation of the target or become a self-loop.
+     * The ontology classes the sources are instances of become classes of the target.
+     * The source names and their aliases are kept as aliases of the target, then the sources are removed.
+     * @param {string} targetName - The entity to keep, or an alias of it
+     * @param {string[]} sourceNames - The entities to fold into it, or their aliases
+     * @returns {Promise<Object>} - {entityName, merged, aliases, movedObservations, movedRelations, droppedRelations}
+     */
+    async mergeEntities(targetName, sourceNames) {
+        if (sourceNames.length === 0) {
+            throw new Error('No source entities provided to merge');
+        }
+        const resolved = await this.resolveEntityNames([targetName, ...sourceNames]);
+        const entityName = resolved.get(targetName);
+        const sources = [...new Set(sourceNames.map((name) => resolved.get(name)))];
+        if (sources.includes(entityName)) {
+            throw new Error(`Entity ${entityName} can't be merged into itself`);
+        }
+
+        // Entities with relations into the sources have their outgoing relations re-pointed, so their history is recorded too
+        const affectedNames = async (tx) => {
+            const result = await tx.run(`
+            MATCH (other:Memory)-[r]->(source:Memory {namespace: $namespace})
+            WHERE source.entityID IN $sources
+            RETURN collect(DISTINCT other.entityID) AS others
+            `, {sources});
+            return [entityName, ...sources, ...result.records[0].get('others')];
+        };
+
+        const merged = await this.runTrackedWrite('Neo4jMemory.mergeEntities', 'merge_entities', affectedNames, async (tx) => {
+            const existing = await tx.run(`
+            MATCH (entity:Memory)
+            WHERE entity.namespace = $namespace AND entity.entityID IN $names AND entity.deletedAt IS NULL
+            RETURN entity.entityID AS name, coalesce(entity.aliases, []) AS aliases
+            `, {names: [entityName, ...sources]});
+            const aliasesByName = new Map(existing.records.map((record) => [record.get('name'), record.get('aliases')]));
+            const missingName = [entityName, ...sources].find((name) => !aliasesByName.has(name));
+            if (missingName !== undefined) {
+                throw new Error(`Entity with name ${missingName} not found`);
+            }
+
+            let movedObservations = 0;
+            let movedRelations = 0;
+            let droppedRelations = 0;
+            for (const source of sources) {
+                // Current observations the target already has are dropped, the others move with their history
+                await tx.run(`
+                MATCH (:Memory {namespace: $namespace, entityID: $source})-[:HAS_OBSERVATION]->(duplicate:Observation)
+                WHERE duplicate.supersededAt IS NULL AND EXISTS {
+                    MATCH (:Memory {namespace: $namespace, entityID: $target})-[:HAS_OBSERVATION]->(same:Observation {content: duplicate.content})
+                    WHERE same.supersededAt IS NULL
+                }
+                DETACH DELETE duplicate
+                `, {source, target: entityName});
+                const observations = await tx.run(`
+                MATCH (source:Memory {namespace: $namespace, entityID: $source})-[link:HAS_OBSERVATION]->(observation:Observation)
+                MATCH (target:Memory {namespace: $namespace, entityID: $target})
+                CREATE (target)-[:HAS_OBSERVATION]->(observation)
+                DELETE link
+                RETURN count(observation) AS moved
+                `, {source, target: entityName});
+                movedObservations += observations.records[0].get('moved').toNumber();
+
+                // Relationship types can't be parameters, so relations are re-pointed one type at a time
+                const types = await tx.run(`
+                MATCH (:Memory {namespace: $namespace, entityID: $source})-[r]-(:Memory)
+                RETURN collect(DISTINCT type(r)) AS types
+                `, {source});
+                for (const relationType of types.records[0].get('types')) {
+                    for (const [pattern, repointed, existing] of [
+                        [
+                            `(source)-[r:\`${relationType}\`]->(other:Memory)`,
+                            `(target)-[moved:\`${relationType}\`]->(other)`,
+                            `(target)-[existing:\`${relationType}\`]->(other)`
+                        ],
+                        [
+                            `(other:Memory)-[r:\`${relationType}\`]->(source)`,
+                            `(other)-[moved:\`${relationType}\`]->(target)`,
+                            `(other)-[existing:\`${relationType}\`]->(target)`
+                        ]
+                    ]) {
+                        const result = await tx.run(`
+                        MATCH (source:Memory {namespace: $namespace, entityID: $source}), (target:Memory {namespace: $namespace, entityID: $target})
+                        MATCH ${pattern}
+                        WITH source, target, r, other, other <> target AND other <> source AND NOT (
+                            r.deletedAt IS NULL AND r.supersededAt IS NULL AND EXISTS {
+                                MATCH ${existing}
+                                WHERE existing.deletedAt IS NULL AND existing.supersededAt IS NULL
+                            }
+                        ) AS keep
+                        CALL {
+                            WITH target, r, other, keep
+                            WITH target, r, other WHERE keep
+                            CREATE ${repointed}
+                            SET moved = properties(r)
+                        }
+                        DELETE r
+                        RETURN count(CASE WHEN keep THEN 1 END) AS moved, count(CASE WHEN NOT keep THEN 1 END) AS dropped
+                        `, {source, target: entityName});
+                        movedRelations += result.records[0].get('moved').toNumber();
+                        droppedRelations += result.records[0].get('dropped').toNumber();
+                    }
+                }
+            }
+
+            // The ontology classes of the sources (see classify_entities) become classes of the target
+            await tx.run(`
+            MATCH (source:Memory)-[link:INSTANCE_OF]->(class:OntologyEntity)
+            WHERE source.namespace = $namespace AND source.entityID IN $sources
+            MATCH (target:Memory {namespace: $namespace, entityID: $target})
+            WITH target, class, collect(link) AS links
+            CALL {
+                WITH target, class, links
+                WITH target, class, links WHERE NOT EXISTS { (target)-[:INSTANCE_OF]->(class) }
+                CREATE (target)-[moved:INSTANCE_OF]->(class)
+                SET moved = properties(links[0])
+            }
+            FOREACH (link IN links | DELETE link)
+            `, {sources, target: entityName});
+
+            // Keep every name the sources were known by, so lookups by them still find the target
+            const aliases = [...new Set([
+                ...aliasesByName.get(entityName),
+                ...sources.flatMap((source) => [source, ...aliasesByName.get(source)])
+            ])].filter((alias) => alias !== entityName);
+            await tx.run(`
+            MATCH (target:Memory {namespace: $namespace, entityID: $target})
+            SET target.aliases = $aliases,
+                target.updatedAt = datetime({timezone: 'UTC'})
+            WITH target
+            MATCH (entity:Memory)
+            WHERE entity.namespace = $namespace AND entity.entityID IN $sources
+            ${DETACH_DELETE_ENTITY}
+            `, {target: entityName, sources, aliases});
+
+            return {entityName, merged: sources, aliases, movedObservations, movedRelations, droppedRelations};
+        }, {mergedInto: entityName, sources});
+        await this.refreshEmbeddings([entityName]);
+        await this.refreshSummaries([entityName]);
+        return merged;
+    }
+
+    /**
+     * Lists the namespaces holding entities, across the whole database
+     * @returns {Promise<Array>} - [{namespace, entities, trashed}], ordered by namespace
+     */
+    async listNamespaces() {
+        const result = await this.runReadTransaction('Neo4jMemory.listNamespaces', (tx) => tx.run(`
+        MATCH (entity:Memory)
+        WHERE entity.namespace IS NOT NULL
+        RETURN entity.namespace AS namespace,
+               count(CASE WHEN entity.deletedAt IS NULL THEN 1 END) AS entities,
+               count(entity.deletedAt) AS trashed
+        ORDER BY namespace
+        `));
+        return result.records.map((record) => ({
+            namespace: record.get('namespace'),
+            entities: record.get('entities').toNumber(),
+            trashed: record.get('trashed').toNumber()
+        }));
+    }
+
+    /**
+     * Checks that entities can be copied or moved from this namespace into another one
+     * @param {Object} tx - A transaction scoped to this namespace
+     * @param {string[]} names - Names of the entities
+     * @param {string} targetNamespace - The namespace they go to
+     * @param {Object} [options]
+     * @param {boolean} [options.withHistory=false] - The history goes along, so the target must have none under these names
+     * @throws {Error} - If an entity is not found here, or its name is already used in the target namespace
+     */
+    async checkTransfer(tx, names, targetNamespace, {withHistory = false} = {}) {
+        const result = await tx.run(`
+        UNWIND $names AS name
+        OPTIONAL MATCH (entity:Memory {namespace: $namespace, entityID: name})
+        WHERE entity.deletedAt IS NULL
+        OPTIONAL MATCH (existing:Memory {namespace: $targetNamespace, entityID: name})
+        RETURN collect(CASE WHEN entity IS NULL THEN name END) AS missing,
+               collect(CASE WHEN existing IS NOT NULL THEN name END) AS taken,
+               collect(CASE WHEN $withHistory AND EXISTS {
+                   MATCH (:EntityChange {namespace: $targetNamespace, entityName: name})
+               } THEN name END) AS withHistory
+        `, {names, targetNamespace, withHistory});
+        const missing = result.records[0].get('missing');
+        if (missing.length > 0) {
+            throw new Error(`Entity not found in namespace ${this.namespace}: ${missing.join(', ')}`);
+        }
+        const taken = result.records[0].get('taken');
+        if (taken.length > 0) {
+            throw new Error(`Namespace ${targetNamespace} already has entities named: ${taken.join(', ')}`);
+        }
+        // Two version sequences under one name would mix up revert_entity and the next version numbers
+        const historyNames = result.records[0].get('withHistory');
+        if (historyNames.length > 0) {
+            throw new Error(`Namespace ${targetNamespace} already has history for entities named: ${historyNames.join(', ')}`);
+        }
+    }
+
+    /**
+     * Copies entities with their current observations into another namespace
+     * Relations between the copied entities are copied too, relations to other entities are not.
+     * @param {string[]} entityNames - Names or aliases of the entities
+     * @param {string} targetNamespace - The namespace to copy them to
+     * @returns {Promise<Object>} - {namespace, copied, observations, relations}
+     */
+    async copyEntities(entityNames, targetNamespace) {
+        const target = this.forNamespace(targetNamespace);
+        if (target === this) {
+            throw new Error(`Entities can't be copied into their own namespace ${this.namespace}`);
+        }
+        const resolved = await this.resolveEntityNames(entityNames);
+        const names = [...new Set(entityNames.map((name) => resolved.get(name)))];
+
+        const copied = await target.runTrackedWrite('Neo4jMemory.copyEntities', 'copy_entities', names, async (tx) => {
+            await this.checkTransfer(this.scopeTransaction(tx), names, targetNamespace);
+            const entities = await tx.run(`
+            UNWIND $names AS name
+            MATCH (source:Memory {namespace: $sourceNamespace, entityID: name})
+            CREATE (copy:Memory {namespace: $namespace, entityID: name})
+            SET copy += properties(source),
+                copy.namespace = $namespace,
+                copy.createdAt = datetime({timezone: 'UTC'}),
+                copy.updatedAt = datetime({timezone: 'UTC'})
+            REMOVE ${UNCOPIED_PROPERTIES.map((key) => `copy.${key}`).join(', ')}
+            WITH source, copy
+            CALL {
+                WITH source, copy
+                MATCH (source)-[:HAS_OBSERVATION]->(observation:Observation)
+                WHERE observation.supersededAt IS NULL
+                CREATE (copy)-[:HAS_OBSERVATION]->(copied:Observation)
+                SET copied = properties(observation),
+                    copied.id = randomUUID(),
+                    copied.createdAt = datetime({timezone: 'UTC'})
+                RETURN count(copied) AS observations
             }
+            RETURN sum(observations) AS observations
+            `, {names, sourceNamespace: this.namespace});
 
-            // If observations is not initialized yet, create it as an array
-            if (!entity.observations) {
-                entity.observations = [];
+            // Relationship types can't be parameters, so relations are copied one type at a time
+            const between = (type) => `(from:Memory {namespace: $sourceNamespace})-[r${type}]->(to:Memory {namespace: $sourceNamespace})
+            WHERE from.entityID IN $names AND to.entityID IN $names AND r.deletedAt IS NULL AND r.supersededAt IS NULL`;
+            const types = await tx.run(`
+            MATCH ${between('')}
+            RETURN collect(DISTINCT type(r)) AS types
+            `, {names, sourceNamespace: this.namespace});
+            let relations = 0;
+            for (const relationType of types.records[0].get('types')) {
+                const result = await tx.run(`
+                MATCH ${between(`:\`${relationType}\``)}
+                MATCH (fromCopy:Memory {namespace: $namespace, entityID: from.entityID}),
+                      (toCopy:Memory {namespace: $namespace, entityID: to.entityID})
+                CREATE (fromCopy)-[copy:\`${relationType}\`]->(toCopy)
+                SET copy = properties(r),
+                    copy.createdAt = datetime({timezone: 'UTC'})
+                RETURN count(copy) AS copied
+                `, {names, sourceNamespace: this.namespace});
+                relations += result.records[0].get('copied').toNumber();
             }
 
-            // Filter out observations that already exist
-            const newObservations = o.contents.filter((content) => !entity.observations.includes(content));
+            return {
+                namespace: targetNamespace,
+                copied: names,
+                observations: entities.records[0].get('observations').toNumber(),
+                relations
+            };
+        }, {copiedFrom: this.namespace});
+        await target.refreshEmbeddings(names);
+        await target.refreshSummaries(names);
+        return copied;
+    }
+
+    /**
+     * Moves entities, with their observations and history, into another namespace
+     * Relations between the moved entities move with them, relations to entities left behind are closed.
+     * @param {string[]} entityNames - Names or aliases of the entities
+     * @param {string} targetNamespace - The namespace to move them to
+     * @returns {Promise<Object>} - {namespace, moved, droppedRelations: [{from, to, relationType}]}
+     */
+    async moveEntities(entityNames, targetNamespace) {
+        const target = this.forNamespace(targetNamespace);
+        if (target === this) {
+            throw new Error(`Entities are already in namespace ${this.namespace}`);
+        }
+        const resolved = await this.resolveEntityNames(entityNames);
+        const names = [...new Set(entityNames.map((name) => resolved.get(name)))];
+        const details = {movedFrom: this.namespace, movedTo: targetNamespace};
+
+        return this.runWriteTransaction('Neo4jMemory.moveEntities', async (tx) => {
+            await this.checkTransfer(tx, names, targetNamespace, {withHistory: true});
+
+            // Entities left behind lose their relations to the moved ones, so their history is recorded too
+            const others = await tx.run(`
+            MATCH (entity:Memory {namespace: $namespace})-[]-(other:Memory)
+            WHERE entity.entityID IN $names AND NOT other.entityID IN $names
+            RETURN collect(DISTINCT other.entityID) AS others
+            `, {names});
+            const otherNames = others.records[0].get('others');
+            const before = await this.captureEntityStates(tx, [...names, ...otherNames]);
 
-            // Add the new observations
-            entity.observations.push(...newObservations);
+            const dropped = await tx.run(`
+            MATCH (entity:Memory {namespace: $namespace})-[r]-(other:Memory)
+            WHERE entity.entityID IN $names AND NOT other.entityID IN $names
+            WITH r, startNode(r) AS from, endNode(r) AS to
+            WITH r, CASE WHEN r.deletedAt IS NULL AND r.supersededAt IS NULL AND from.deletedAt IS NULL AND to.deletedAt IS NULL
+                THEN {from: from.name, to: to.name, relationType: type(r)} END AS relation
+            // Dropped relations are closed rather than removed, so asOf reads still see them; they now link
+            // two namespaces, which is why reads match both of their entities in the namespace read
+            SET r.supersededAt = coalesce(r.supersededAt, datetime({timezone: 'UTC'})),
+                r.validTo = coalesce(r.validTo, datetime({timezone: 'UTC'}))
+            RETURN collect(relation) AS dropped
+            `, {names});
+            await tx.run(`
+            MATCH (entity:Memory {namespace: $namespace})
+            WHERE entity.entityID IN $names
+            SET entity.namespace = $targetNamespace,
+                entity.updatedAt = datetime({timezone: 'UTC'})
+            `, {names, targetNamespace});
+            await tx.run(`
+            MATCH (change:EntityChange {namespace: $namespace})
+            WHERE change.entityName IN $names
+            SET change.namespace = $targetNamespace
+            `, {names, targetNamespace});
 
-            return {entityName: o.entityName, addedObservations: newObservations};
+            const into = target.scopeTransaction(tx);
+            await this.recordChanges(tx, 'move_entities',
+                new Map(otherNames.map((name) => [name, before.get(name)])),
+                await this.captureEntityStates(tx, otherNames), details);
+            // A move is recorded even when it leaves the state of an entity as it was
+            await target.recordChanges(into, 'move_entities',
+                new Map(names.map((name) => [name, before.get(name)])),
+                await target.captureEntityStates(into, names), details, {recordUnchanged: true});
+
+            return {
+                namespace: targetNamespace,
+                moved: names,
+                droppedRelations: dropped.records[0].get('dropped')
+            };
         });
-        await this.saveGraph(graph);
-        return results;
     }
 
-    async deleteEntities(entityNames) {
-        if (!entityNames || entityNames.length === 0) {
-            console.error('No entity names provided for deletion');
-            return;
+    /**
+     * Computes the embeddings of entities and of their current observations
+     * The entity embedding covers its name, type and observations and is always recomputed,
+     * observations are only embedded when they have no embedding from the current provider yet.
+     * @param {string[]} entityNames - Names of the entities
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Recompute the observation embeddings as well
+     * @returns {Promise<number>} - Number of entities embedded
+     */
+    async embedEntities(entityNames, {force = false} = {}) {
+        if (!this.embeddings) {
+            throw new Error('Embeddings are disabled, set EMBEDDING_PROVIDER to enable them');
+        }
+        const result = await this.runReadTransaction('Neo4jMemory.embedEntities', (tx) => tx.run(`
+        MATCH (entity:Memory)
+        WHERE entity.namespace = $namespace AND entity.entityID IN $entityNames AND entity.deletedAt IS NULL
+        CALL {
+            WITH entity
+            OPTIONAL MATCH (entity)-[:HAS_OBSERVATION]->(observation:Observation)
+            WHERE observation.supersededAt IS NULL
+            WITH observation ORDER BY observation.createdAt
+            RETURN collect(observation {.id, .content, .embeddingModel}) AS observations
         }
+        RETURN entity.entityID AS name, entity.entityType AS entityType, observations
+        `, {entityNames}));
 
-        const session = this.neo4jDriver.session({database: this.database});
+        const {id: model} = this.embeddings;
+        const entities = result.records.map((record) => ({
+            name: record.get('name'),
+            entityType: record.get('entityType'),
+            observations: record.get('observations')
+        }));
+        const observations = entities.flatMap((entity) => entity.observations)
+            .filter((observation) => force || observation.embeddingModel !== model);
+        if (entities.length === 0) {
+            return 0;
+        }
+
+        const vectors = await this.embeddings.embed([
+            ...entities.map((entity) => toEmbeddingText({...entity, observations: entity.observations.map((o) => o.content)})),
+            ...observations.map((observation) => observation.content)
+        ]);
+        await this.runWriteTransaction('Neo4jMemory.embedEntities', async (tx) => {
+            await tx.run(`
+            UNWIND $entities AS row
+            MATCH (entity:Memory {namespace: $namespace, entityID: row.name})
+            SET entity.embedding = row.embedding, entity.embeddingModel = $model
+            `, {model, entities: entities.map((entity, i) => ({name: entity.name, embedding: vectors[i]}))});
+            await tx.run(`
+            UNWIND $observations AS row
+            MATCH (observation:Observation {id: row.id})
+            SET observation.embedding = row.embedding, observation.embeddingModel = $model
+            `, {model, observations: observations.map((o, i) => ({id: o.id, embedding: vectors[entities.length + i]}))});
+        });
+        return entities.length;
+    }
+
+    /**
+     * Brings the embeddings of changed entities up to date when embeddings are enabled
+     * A failing provider does not fail the change itself, the entities are embedded again on their next change
+     * @param {string[]} entityNames - Names of the changed entities
+     */
+    async refreshEmbeddings(entityNames) {
+        if (!this.embeddings || entityNames.length === 0) {
+            return;
+        }
         try {
-            console.error(`Deleting entities: ${JSON.stringify(entityNames)}`);
-
-            // Execute a Cypher query to delete entities by name
-            // Using DETACH DELETE to also remove all relationships
-            const result = await session.executeWrite(tx => {
-                return tx.run(
-                    `MATCH (entity:Memory)
-                     WHERE entity.name IN $entityNames
-                     DETACH DELETE entity
-                     RETURN count(entity) as deletedCount`,
-                    {entityNames}
-                );
-            });
+            await this.embedEntities([...new Set(entityNames)]);
+        } catch (error) {
+            console.error(`Failed to update embeddings of ${JSON.stringify(entityNames)}: ${error.message}`);
+        }
+    }
 
-            const deletedCount = result.records[0]?.get('deletedCount')?.toNumber() || 0;
-            console.error(`Deleted ${deletedCount} entities`);
+    /**
+     * Condenses the current observations of an entity into a summary stored on the entity
+     * The summary is kept in the summary property with the ids of the observations it covers
+     * (summaryObservationIds) and its time (summarizedAt); the observations are left as they are.
+     * A summary that still covers exactly the current observations is returned without writing a new one.
+     * @param {string} entityName - Name of the entity, or an alias left by mergeEntities
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Write a new summary even if the current one is up to date
+     * @returns {Promise<Object>} - {entityName, summary, observationCount, refreshed}
+     * @throws {Error} - If summaries are disabled or the entity doesn't exist
+     */
+    async summarizeEntity(entityName, {force = false} = {}) {
+        if (!this.summarizer) {
+            throw new Error('Summaries are disabled, no summarizer is configured');
+        }
+        const name = (await this.resolveEntityNames([entityName])).get(entityName);
+        const result = await this.runReadTransaction('Neo4jMemory.summarizeEntity', (tx) => tx.run(`
+        MATCH (entity:Memory {namespace: $namespace, entityID: $name})
+        WHERE entity.deletedAt IS NULL
+        CALL {
+            WITH entity
+            OPTIONAL MATCH (entity)-[:HAS_OBSERVATION]->(observation:Observation)
+            WHERE observation.supersededAt IS NULL
+            WITH observation ORDER BY observation.createdAt
+            RETURN collect(observation {.id, .content}) AS observations
+        }
+        RETURN entity.entityType AS entityType, entity.summary AS summary,
+               coalesce(entity.summaryObservationIds, []) AS covered, observations
+        `, {name}));
+        if (result.records.length === 0) {
+            throw new Error(`Entity with name ${name} not found`);
+        }
+        const record = result.records[0];
+        const observations = record.get('observations');
+        const ids = observations.map((observation) => observation.id);
+        const covered = record.get('covered');
+        const upToDate = record.get('summary') !== null && ids.length === covered.length && ids.every((id) => covered.includes(id));
+        if (observations.length === 0 || (upToDate && !force)) {
+            return {entityName: name, summary: record.get('summary'), observationCount: observations.length, refreshed: false};
+        }
 
-            if (deletedCount !== entityNames.length) {
-                console.error(`Warning: Requested to delete ${entityNames.length} entities, but only deleted ${deletedCount}`);
+        const summary = await this.summarizer.summarize({
+            name,
+            entityType: record.get('entityType'),
+            observations: observations.map((observation) => observation.content)
+        });
+        await this.runWriteTransaction('Neo4jMemory.summarizeEntity', (tx) => tx.run(`
+        MATCH (entity:Memory {namespace: $namespace, entityID: $name})
+        SET entity.summary = $summary,
+            entity.summaryObservationIds = $ids,
+            entity.summarizedAt = datetime({timezone: 'UTC'})
+        `, {name, summary, ids}));
+        return {entityName: name, summary, observationCount: observations.length, refreshed: true};
+    }
+
+    /**
+     * Writes the summaries of changed entities again once enough of their observations changed
+     * Only entities that already have a summary are summarized. Observations added, and covered ones
+     * superseded, since the summary count as changes. A failing summarizer does not fail the change itself.
+     * @param {string[]} entityNames - Names of the changed entities
+     */
+    async refreshSummaries(entityNames) {
+        if (!this.summarizer || this.summaryRefreshThreshold <= 0 || entityNames.length === 0) {
+            return;
+        }
+        try {
+            const result = await this.runReadTransaction('Neo4jMemory.refreshSummaries', (tx) => tx.run(`
+            MATCH (entity:Memory)
+            WHERE entity.namespace = $namespace AND entity.entityID IN $entityNames
+              AND entity.summary IS NOT NULL AND entity.deletedAt IS NULL
+            CALL {
+                WITH entity
+                OPTIONAL MATCH (entity)-[:HAS_OBSERVATION]->(observation:Observation)
+                WHERE observation.supersededAt IS NULL
+                RETURN collect(observation.id) AS current
+            }
+            WITH entity, current, coalesce(entity.summaryObservationIds, []) AS covered
+            WHERE size([id IN current WHERE NOT id IN covered]) + size([id IN covered WHERE NOT id IN current]) >= $threshold
+            RETURN collect(entity.entityID) AS names
+            `, {entityNames: [...new Set(entityNames)], threshold: int(Math.ceil(this.summaryRefreshThreshold))}));
+            for (const name of result.records[0].get('names')) {
+                await this.summarizeEntity(name);
             }
         } catch (error) {
-            console.error(`Error deleting entities: ${error.message}`);
-            throw error;
+            console.error(`Failed to update summaries of ${JSON.stringify(entityNames)}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Recreates the vector indexes for the configured provider and embeds every entity again
+     * Needed after switching the embedding provider or model, and to embed entities stored before
+     * embeddings were enabled. Covers the entities of every namespace.
+     * @param {number} batchSize - Number of entities embedded at a time
+     * @returns {Promise<Object>} - {model, dimensions, entities}
+     */
+    async reindexEmbeddings(batchSize = 100) {
+        if (!this.embeddings) {
+            throw new Error('Embeddings are disabled, set EMBEDDING_PROVIDER to enable them');
+        }
+        // Schema statements can't run in a transaction with other statements
+        const session = this.neo4jDriver.session({database: this.database});
+        try {
+            await session.run('DROP INDEX memory_embedding IF EXISTS');
+            await session.run('DROP INDEX observation_embedding IF EXISTS');
+            for (const statement of vectorIndexStatements(this.embeddings.dimensions)) {
+                await session.run(statement);
+            }
         } finally {
             await session.close();
         }
+
+        // The indexes are shared by all namespaces, so every namespace is embedded again
+        const result = await this.runReadTransaction('Neo4jMemory.reindexEmbeddings', (tx) => tx.run(`
+        MATCH (entity:Memory)
+        WHERE entity.deletedAt IS NULL
+        WITH entity.namespace AS namespace, entity.entityID AS name
+        ORDER BY name
+        RETURN namespace, collect(name) AS names
+        ORDER BY namespace
+        `));
+        let entities = 0;
+        for (const record of result.records) {
+            const memory = this.forNamespace(record.get('namespace'));
+            const names = record.get('names');
+            for (let i = 0; i < names.length; i += batchSize) {
+                entities += await memory.embedEntities(names.slice(i, i + batchSize), {force: true});
+            }
+        }
+        return {model: this.embeddings.id, dimensions: this.embeddings.dimensions, entities};
     }
 
-    async deleteObservations(deletions) {
-        const graph = await this.loadGraph();
-        deletions.forEach((d) => {
-            const entity = graph.entities.find((e) => e.name === d.entityName);
-            if (entity && entity.observations) {
-                // For each observation to delete, find its index and remove it
-                const indicesToRemove = [];
-                d.observations.forEach(obsToDelete => {
-                    const index = entity.observations.indexOf(obsToDelete);
-                    if (index !== -1) {
-                        indicesToRemove.push(index);
-                    }
-                });
+    /**
+     * Finds the entities whose meaning is closest to the query, through the vector indexes
+     * An entity is scored by the best of its own embedding and those of its current observations.
+     * @param {string} query - The text to look for
+     * @param {Object} [options]
+     * @param {number} [options.limit=10] - Maximum number of entities to return
+     * @param {string[]} [options.entityTypes] - Only return entities of these types
+     * @param {number} [options.minScore=0] - Leave out entities with a lower cosine similarity score
+     * @param {boolean} [options.trackAccess=true] - Count the read of the entities found, see recordAccess
+     * @param {boolean} [options.summaryOnly=false] - Return the summary of summarized entities instead of their observations
+     * @returns {Promise<Object>} - {entities (each with a score), relations}
+     */
+    async semanticSearch(query, {limit = 10, entityTypes = null, minScore = 0, trackAccess = true, summaryOnly = false} = {}) {
+        if (!this.embeddings) {
+            throw new Error('Embeddings are disabled, set EMBEDDING_PROVIDER to enable semantic search');
+        }
+        if (typeof query !== 'string' || query.trim() === '') {
+            throw new Error('Search query must not be empty');
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            throw new Error('limit must be an integer between 1 and 100');
+        }
+        const [vector] = await this.embeddings.embed([query]);
+        // The indexes cover every namespace and return the nearest nodes before any filtering, so a
+        // namespace or type filter can leave fewer than limit entities; more candidates are then asked for
+        const vectorQuery = `
+            CALL {
+                CALL db.index.vector.queryNodes('memory_embedding', $candidates, $vector) YIELD node, score
+                WHERE node.embeddingModel = $model
+                RETURN node AS entity, score
+                UNION ALL
+                CALL db.index.vector.queryNodes('observation_embedding', $candidates, $vector) YIELD node, score
+                WHERE node.embeddingModel = $model AND node.supersededAt IS NULL
+                MATCH (entity:Memory)-[:HAS_OBSERVATION]->(node)
+                RETURN entity, score
+            }
+            WITH entity, max(score) AS score
+            WHERE entity.namespace = $namespace AND entity.deletedAt IS NULL AND score >= $minScore
+              AND ($entityTypes IS NULL OR entity.entityType IN $entityTypes)
+            RETURN entity.entityID AS name, score
+            ORDER BY score DESC, name
+            LIMIT $limit
+            `;
+        const found = await this.runReadTransaction('Neo4jMemory.semanticSearch', async (tx) => {
+            const search = (candidates) => tx.run(vectorQuery, {
+                vector,
+                model: this.embeddings.id,
+                candidates: int(candidates),
+                minScore,
+                entityTypes: entityTypes && entityTypes.length > 0 ? entityTypes : null,
+                limit: int(limit)
+            });
+            let candidates = limit * VECTOR_CANDIDATE_FACTOR;
+            let result = await search(candidates);
+            while (result.records.length < limit && candidates < MAX_VECTOR_CANDIDATES) {
+                candidates = Math.min(candidates * 4, MAX_VECTOR_CANDIDATES);
+                result = await search(candidates);
+            }
+            const scores = new Map(result.records.map((record) => [record.get('name'), record.get('score')]));
+            const {entities, relations} = await this.readSubgraph(tx, [...scores.keys()], null, {summaryOnly});
+            return {
+                entities: entities
+                    .map((entity) => ({...entity, score: scores.get(entity.name)}))
+                    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name)),
+                relations
+            };
+        });
+        if (trackAccess) {
+            await this.recordAccess(found.entities.map((entity) => entity.name));
+        }
+        return found;
+    }
 
-                // Sort indices in descending order to avoid shifting problems when removing
-                indicesToRemove.sort((a, b) => b - a);
+    /**
+     * Reads the graph one page of entities at a time, ordered by name
+     * Each page holds the relations going out of its entities to entities matching the same filters,
+     * so reading all pages returns every relation once.
+     * @param {Object} [options]
+     * @param {number} [options.limit=100] - Maximum number of entities in the page
+     * @param {string} [options.cursor] - The nextCursor of the previous page
+     * @param {string[]} [options.entityTypes] - Only read entities of these types
+     * @param {string} [options.updatedSince] - Only read entities changed at or after this time (ISO 8601)
+     * @param {string} [options.projection='full'] - names, types (names and entity types), full (with observations)
+     *   or summary (with the summary of summarized entities instead of their observations)
+     * @param {string} [options.asOf] - Read the graph as it was believed at this time (ISO 8601)
+     * @returns {Promise<Object>} - {entities, relations, totalEntities, totalRelations, nextCursor}
+     */
+    async readGraph({
+        limit = DEFAULT_PAGE_SIZE,
+        cursor = null,
+        entityTypes = null,
+        updatedSince = null,
+        projection = 'full',
+        asOf = null
+    } = {}) {
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw new Error(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+        if (!ENTITY_PROJECTIONS[projection]) {
+            throw new Error(`Invalid projection '${projection}', expected one of: ${Object.keys(ENTITY_PROJECTIONS).join(', ')}`);
+        }
+        const params = {
+            after: decodeCursor(cursor),
+            entityTypes: entityTypes && entityTypes.length > 0 ? entityTypes : null,
+            updatedSince: toTimestamp(updatedSince, 'updatedSince'),
+            asOf: toTimestamp(asOf, 'asOf'),
+            // One more than asked for tells whether there is a next page
+            limit: int(limit + 1)
+        };
 
-                // Remove observations by index
-                indicesToRemove.forEach(index => {
-                    entity.observations.splice(index, 1);
-                });
+        return this.runReadTransaction('Neo4jMemory.readGraph', async (tx) => {
+            const totals = await tx.run(`
+            CALL {
+                MATCH (entity:Memory)
+                WHERE ${pageFilter('entity')}
+                RETURN count(entity) AS totalEntities
+            }
+            CALL {
+                MATCH (entity:Memory)-[r]->(other:Memory)
+                WHERE ${pageFilter('entity')} AND ${pageFilter('other')}
+                  AND ${believedAt('r', 'deletedAt', 'supersededAt')}
+                RETURN count(r) AS totalRelations
+            }
+            RETURN totalEntities, totalRelations
+            `, params);
+
+            const page = await tx.run(`
+            MATCH (entity:Memory)
+            WHERE ${pageFilter('entity')} AND ($after IS NULL OR entity.entityID > $after)
+            WITH entity
+            ORDER BY entity.entityID
+            LIMIT $limit
+            ${projection === 'full' || projection === 'summary' ? OBSERVATIONS_SUBQUERY : ''}
+            CALL {
+                WITH entity
+                OPTIONAL MATCH (entity)-[r]->(other:Memory)
+                WHERE ${believedAt('r', 'deletedAt', 'supersededAt')} AND ${pageFilter('other')}
+                WITH r, other ORDER BY type(r), other.entityID
+                RETURN collect(r {from: entity.name, to: other.name, relationType: type(r), properties: properties(r)}) AS relations
             }
+            RETURN ${ENTITY_PROJECTIONS[projection]}, relations
+            ORDER BY entityID
+            `, params);
+
+            const records = page.records.slice(0, limit);
+            const hasMore = page.records.length > limit;
+            return {
+                entities: records.map((record) => (projection === 'full' || projection === 'summary'
+                    ? toEntity(record, {summaryOnly: projection === 'summary'})
+                    : toPlainProperties(record.get('entity')))),
+                relations: records.flatMap((record) => record.get('relations').map(toRelation)),
+                totalEntities: totals.records[0].get('totalEntities').toNumber(),
+                totalRelations: totals.records[0].get('totalRelations').toNumber(),
+                nextCursor: hasMore ? encodeCursor(records[records.length - 1].get('entityID')) : null
+            };
         });
-        await this.saveGraph(graph);
     }
 
-    async deleteRelations(relations) {
-        const graph = await this.loadGraph();
-        graph.relations = graph.relations.filter((r) => !relations.some(
-            (delRelation) => r.from === delRelation.from && r.to === delRelation.to && r.relationType === delRelation.relationType
-        ));
-        await this.saveGraph(graph);
-    }
-
-    async readGraph() {
-        return this.loadGraph();
-    }
-
-    // Very basic search function
-    async searchNodes(query) {
-        const graph = await this.loadGraph();
-        const filteredEntities = graph.entities.filter(
-            (e) => query.toLowerCase().includes(e.name.toLowerCase()) || query.toLowerCase().includes(e.entityType.toLowerCase()) || e.observations.some((o) => o.toLowerCase().includes(query.toLowerCase()))
-        );
-        const filteredEntityNames = new Set(filteredEntities.map((e) => e.name));
-        const filteredRelations = graph.relations.filter(
-            (r) => filteredEntityNames.has(r.from) && filteredEntityNames.has(r.to)
-        );
-        const filteredGraph = {
-            entities: filteredEntities,
-            relations: filteredRelations
-        };
-        return filteredGraph;
-    }
-
-    async openNodes(names) {
-        const graph = await this.loadGraph();
-        const filteredEntities = graph.entities.filter((e) => names.includes(e.name));
-        const filteredEntityNames = new Set(filteredEntities.map((e) => e.name));
-        const filteredRelations = graph.relations.filter(
-            (r) => filteredEntityNames.has(r.from) && filteredEntityNames.has(r.to)
-        );
-        const filteredGraph = {
-            entities: filteredEntities,
-            relations: filteredRelations
+    /**
+     * Searches entity names, types and observations through the full-text indexes, best matches first
+     * An entity matching in several places gets the score of its best match. A query equal to an
+     * alias left by mergeEntities finds the entity it was merged into.
+     * @param {string} query - Words to look for, text in double quotes is matched as a phrase
+     * @param {Object} [options]
+     * @param {number} [options.limit=20] - Maximum number of entities to return
+     * @param {number} [options.offset=0] - Number of best matching entities to skip
+     * @param {string[]} [options.entityTypes] - Only return entities of these types
+     * @param {boolean} [options.fuzzy=false] - Also match misspelled words
+     * @param {string} [options.asOf] - Search the graph as it was believed at this time (ISO 8601)
+     * @param {boolean} [options.trackAccess=true] - Count the read of the entities found, see recordAccess
+     * @param {boolean} [options.summaryOnly=false] - Return the summary of summarized entities instead of their observations
+     * @returns {Promise<Object>} - {entities (each with a score), relations, offset, limit, hasMore}
+     */
+    async searchNodes(query, {limit = 20, offset = 0, entityTypes = null, fuzzy = false, asOf = null, trackAccess = true, summaryOnly = false} = {}) {
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            throw new Error('limit must be an integer between 1 and 100');
+        }
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new Error('offset must be a non-negative integer');
+        }
+        const params = {
+            search: toFulltextQuery(query, {fuzzy}),
+            query: query.trim().toLowerCase(),
+            entityTypes: entityTypes && entityTypes.length > 0 ? entityTypes : null,
+            asOf: toTimestamp(asOf, 'asOf'),
+            offset: int(offset),
+            // One more than asked for tells whether there is a next page
+            limit: int(limit + 1)
         };
-        return filteredGraph;
+        const found = await this.runReadTransaction('Neo4jMemory.searchNodes', async (tx) => {
+            const result = await tx.run(`
+            CALL {
+                CALL db.index.fulltext.queryNodes('memory_fulltext', $search) YIELD node, score
+                RETURN node AS entity, score
+                UNION ALL
+                CALL db.index.fulltext.queryNodes('observation_fulltext', $search) YIELD node, score
+                WHERE ${believedAt('node', 'supersededAt')}
+                MATCH (entity:Memory)-[:HAS_OBSERVATION]->(node)
+                RETURN entity, score
+                UNION ALL
+                MATCH (entity:Memory)
+                WHERE entity.namespace = $namespace AND any(alias IN coalesce(entity.aliases, []) WHERE toLower(alias) = $query)
+                RETURN entity, 1.0 AS score
+            }
+            WITH entity, max(score) AS score
+            WHERE entity.namespace = $namespace AND ${believedAt('entity', 'deletedAt')}
+              AND ($entityTypes IS NULL OR entity.entityType IN $entityTypes)
+            RETURN entity.entityID AS name, score
+            ORDER BY score DESC, name
+            SKIP $offset
+            LIMIT $limit
+            `, params);
+            const scores = new Map(result.records.slice(0, limit).map((record) => [record.get('name'), record.get('score')]));
+            const {entities, relations} = await this.readSubgraph(tx, [...scores.keys()], params.asOf, {summaryOnly});
+            return {
+                entities: entities
+                    .map((entity) => ({...entity, score: scores.get(entity.name)}))
+                    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name)),
+                relations,
+                offset,
+                limit,
+                hasMore: result.records.length > limit
+            };
+        });
+        if (trackAccess) {
+            await this.recordAccess(found.entities.map((entity) => entity.name));
+        }
+        return found;
+    }
+
+    /**
+     * Reads entities by name, with the relations between them
+     * @param {string[]} names - Names of the entities, or aliases left by mergeEntities
+     * @param {Object} [options]
+     * @param {string} [options.asOf] - Read the entities as they were believed at this time (ISO 8601)
+     * @param {boolean} [options.trackAccess=true] - Count the read of the entities, see recordAccess
+     * @param {boolean} [options.summaryOnly=false] - Return the summary of summarized entities instead of their observations
+     * @returns {Promise<Object>} - {entities, relations}
+     */
+    async openNodes(names, {asOf = null, trackAccess = true, summaryOnly = false} = {}) {
+        const validAsOf = toTimestamp(asOf, 'asOf');
+        // Names folded into another entity by mergeEntities open that entity
+        const resolved = await this.resolveEntityNames(names);
+        const entityNames = [...new Set(names.map((name) => resolved.get(name)))];
+        const opened = await this.runReadTransaction('Neo4jMemory.openNodes', (tx) => this.readSubgraph(tx, entityNames, validAsOf, {summaryOnly}));
+        if (trackAccess) {
+            await this.recordAccess(opened.entities.map((entity) => entity.name));
+        }
+        return opened;
+    }
+
+    /**
+     * Counts a read of entities: increments their accessCount and sets lastAccessedAt
+     * The counts feed the importance score used by prune_memories. They are not part of the
+     * entity history, and failing to record them doesn't fail the read.
+     * @param {string[]} entityNames - Names of the entities that were read
+     * @returns {Promise<void>}
+     */
+    async recordAccess(entityNames) {
+        if (!this.trackAccess || entityNames.length === 0) {
+            return;
+        }
+        try {
+            await this.runWriteTransaction('Neo4jMemory.recordAccess', (tx) => tx.run(`
+            MATCH (entity:Memory)
+            WHERE entity.namespace = $namespace AND entity.entityID IN $entityNames AND entity.deletedAt IS NULL
+            SET entity.accessCount = coalesce(entity.accessCount, 0) + 1,
+                entity.lastAccessedAt = datetime({timezone: 'UTC'})
+            `, {entityNames: [...new Set(entityNames)]}));
+        } catch (error) {
+            console.error(`Failed to record access to ${JSON.stringify(entityNames)}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lists the recorded changes of an entity, newest first
+     * @param {string} entityName - The name of the entity
+     * @param {number} limit - Maximum number of changes to return
+     * @returns {Promise<Array>} - [{version, operation, timestamp, before, after, details}]
+     */
+    async getEntityHistory(entityName, limit = 50) {
+        const result = await this.runReadTransaction('Neo4jMemory.getEntityHistory', (tx) => tx.run(`
+        MATCH (change:EntityChange {namespace: $namespace, entityName: $entityName})
+        RETURN change
+        ORDER BY change.version DESC
+        LIMIT $limit
+        `, {entityName, limit: int(limit)}));
+        return result.records.map((record) => {
+            const change = toPlainProperties(record.get('change').properties);
+            return {
+                version: change.version,
+                operation: change.operation,
+                timestamp: change.timestamp,
+                before: change.before ? JSON.parse(change.before) : null,
+                after: change.after ? JSON.parse(change.after) : null,
+                details: change.details ? JSON.parse(change.details) : null
+            };
+        });
+    }
+
+    /**
+     * Restores an entity's properties and observations to the state recorded right after the given version
+     * Current observations missing from that state are closed and the ones it had are opened again
+     * as new observations, so asOf reads still see what was believed in between.
+     * Relations are left as they are. The revert is itself recorded as a new version.
+     * @param {string} entityName - The name of the entity
+     * @param {number} version - The version to restore
+     * @returns {Promise<Object>} - The restored state
+     */
+    async revertEntity(entityName, version) {
+        const reverted = await this.runTrackedWrite('Neo4jMemory.revertEntity', 'revert_entity', [entityName], async (tx) => {
+            const result = await tx.run(`
+            MATCH (change:EntityChange {namespace: $namespace, entityName: $entityName, version: $version})
+            RETURN change.after AS state
+            `, {entityName, version: int(version)});
+            if (result.records.length === 0) {
+                throw new Error(`Version ${version} of entity ${entityName} not found`);
+            }
+            const state = result.records[0].get('state');
+            if (!state) {
+                throw new Error(`Entity ${entityName} was deleted in version ${version}, there is no state to revert to`);
+            }
+            const {properties, observations} = JSON.parse(state);
+
+            // Replace the tracked properties but keep the bookkeeping ones
+            const keptProperties = UNTRACKED_ENTITY_PROPERTIES.map((key) => `.${key}`).join(', ');
+            await tx.run(`
+            MERGE (entity:Memory {namespace: $namespace, entityID: $entityName})
+            WITH entity, entity {${keptProperties}} AS kept
+            SET entity = $properties
+            SET entity += kept,
+                entity.entityID = $entityName,
+                entity.createdAt = coalesce(kept.createdAt, datetime({timezone: 'UTC'})),
+                entity.updatedAt = datetime({timezone: 'UTC'})
+            WITH entity
+            CALL {
+                WITH entity
+                MATCH (entity)-[:HAS_OBSERVATION]->(observation:Observation)
+                WHERE observation.supersededAt IS NULL AND NOT observation.id IN [o IN $observations | o.id]
+                SET observation.supersededAt = datetime({timezone: 'UTC'}),
+                    observation.validTo = coalesce(observation.validTo, datetime({timezone: 'UTC'}))
+            }
+            UNWIND $observations AS observation
+            WITH entity, observation
+            WHERE NOT EXISTS {
+                MATCH (entity)-[:HAS_OBSERVATION]->(current:Observation {id: observation.id})
+                WHERE current.supersededAt IS NULL
+            }
+            CREATE (entity)-[:HAS_OBSERVATION]->(:Observation {
+                id: randomUUID(),
+                content: observation.content,
+                createdAt: datetime({timezone: 'UTC'}),
+                validFrom: datetime(coalesce(observation.validFrom, observation.createdAt)),
+                validTo: datetime(observation.validTo),
+                source: observation.source,
+                confidence: observation.confidence,
+                tags: observation.tags
+            })
+            `, {entityName, properties, observations});
+            return {properties, observations};
+        }, {revertedToVersion: version});
+        await this.refreshEmbeddings([entityName]);
+        return reverted;
+    }
+
+    /**
+     * Converts relations stored as :Memory relationships with a relationType property into
+     * native relationships of that type, e.g. [:Memory {relationType: 'works at'}] becomes [:WORKS_AT]
+     * Relation types that can't be converted are left untouched and reported
+     * @param {number} batchSize - Number of relations migrated per transaction
+     * @returns {Promise<Object>} - {migrated, types, skipped}
+     */
+    async migrateRelationTypes(batchSize = 1000) {
+        const result = await this.runReadTransaction('Neo4jMemory.migrateRelationTypes', (tx) => tx.run(`
+        MATCH (:Memory)-[r:Memory]->(:Memory)
+        RETURN DISTINCT r.relationType AS relationType
+        `));
+
+        const report = {migrated: 0, types: {}, skipped: []};
+        for (const record of result.records) {
+            const relationType = record.get('relationType');
+            let type;
+            try {
+                type = toRelationshipType(relationType);
+            } catch (error) {
+                report.skipped.push({relationType, reason: error.message});
+                continue;
+            }
+            report.types[relationType] = type;
+
+            for (;;) {
+                // MERGE folds the relation into an identical native one if it already exists
+                const batch = await this.runWriteTransaction('Neo4jMemory.migrateRelationTypes', (tx) => tx.run(`
+                MATCH (from:Memory)-[old:Memory {relationType: $relationType}]->(to:Memory)
+                WITH from, old, to LIMIT $batchSize
+                MERGE (from)-[new:\`${type}\`]->(to)
+                SET new += properties(old)
+                REMOVE new.relationType
+                DELETE old
+                RETURN count(old) AS migrated
+                `, {relationType, batchSize: int(batchSize)}));
+                const count = batch.records[0].get('migrated').toNumber();
+                report.migrated += count;
+                if (count < batchSize) {
+                    break;
+                }
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Converts observations stored as a string array property on :Memory nodes into :Observation nodes
+     * Entities are migrated in batches, each in its own transaction, so the migration can be re-run safely
+     * @param {number} batchSize - Number of entities migrated per transaction
+     * @returns {Promise<number>} - The number of migrated entities
+     */
+    async migrateArrayObservations(batchSize = 500) {
+        let migrated = 0;
+        for (;;) {
+            // The array order is kept by spacing the createdAt timestamps one millisecond apart
+            const result = await this.runWriteTransaction('Neo4jMemory.migrateArrayObservations', (tx) => tx.run(`
+            MATCH (entity:Memory)
+            WHERE entity.observations IS NOT NULL
+            WITH entity LIMIT $batchSize
+            CALL {
+                WITH entity
+                WITH entity,
+                     reduce(contents = [], content IN entity.observations |
+                         CASE WHEN content IN contents THEN contents ELSE contents + content END) AS contents,
+                     coalesce(entity.updatedAt, entity.createdAt, datetime({timezone: 'UTC'})) AS learnedAt
+                UNWIND range(0, size(contents) - 1) AS position
+                WITH entity, contents[position] AS content, learnedAt + duration({milliseconds: position}) AS createdAt
+                WHERE NOT EXISTS { (entity)-[:HAS_OBSERVATION]->(:Observation {content: content}) }
+                CREATE (entity)-[:HAS_OBSERVATION]->(:Observation {id: randomUUID(), content: content, createdAt: createdAt, tags: []})
+            }
+            REMOVE entity.observations
+            RETURN count(entity) AS migrated
+            `, {batchSize: int(batchSize)}));
+            const count = result.records[0].get('migrated').toNumber();
+            migrated += count;
+            if (count < batchSize) {
+                return migrated;
+            }
+        }
     }
 
     /**
@@ -373,5 +2614,6 @@ class Neo4jMemory {
 }
 
 export {
+    DEFAULT_NAMESPACE,
     Neo4jMemory
 };
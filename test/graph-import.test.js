@@ -0,0 +1,82 @@
+/**
+ * Checks of the import_graph merge policy against an in-memory stand-in for Neo4jMemory
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { importGraph } from '../tools/graph-import.js';
+
+/**
+ * Builds a memory keeping entities in a Map. Like Neo4jMemory, it reads date-times back in the
+ * format of the driver, e.g. 2024-01-01T00:00:00Z[UTC], rejects timestamps Date.parse can't read,
+ * and closes the observations an existing entity is written without.
+ * @returns {Object} - The memory
+ */
+function createMemory() {
+  const entities = new Map();
+  const checkTimestamp = (value, name) => {
+    if (value !== undefined && value !== null && Number.isNaN(Date.parse(value))) {
+      throw new Error(`${name} must be an ISO 8601 date or date-time, got ${JSON.stringify(value)}`);
+    }
+  };
+  const toDriverDatetime = value => (value ? `${new Date(value).toISOString().replace('.000', '')}[UTC]` : null);
+  return {
+    namespace: 'default',
+    entities,
+    openNodes: async (names) => ({
+      entities: names.filter(name => entities.has(name)).map(name => structuredClone(entities.get(name))),
+      relations: []
+    }),
+    resolveEntityNames: async (names) => new Map(names.map(name => [name, name])),
+    createEntities: async (writes) => {
+      for (const { observations, ...properties } of writes) {
+        const normalized = observations.map(observation => (typeof observation === 'string' ? { content: observation } : observation));
+        normalized.forEach(observation => {
+          checkTimestamp(observation.validFrom, 'validFrom');
+          checkTimestamp(observation.validTo, 'validTo');
+        });
+        entities.set(properties.name, {
+          ...properties,
+          observations: normalized.map(observation => ({
+            id: `${properties.name}:${observation.content}`,
+            content: observation.content,
+            source: observation.source ?? null,
+            confidence: observation.confidence ?? null,
+            tags: observation.tags ?? [],
+            validFrom: toDriverDatetime(observation.validFrom ?? '2024-01-01T00:00:00Z'),
+            validTo: toDriverDatetime(observation.validTo)
+          }))
+        });
+      }
+      return writes;
+    }
+  };
+}
+
+const FILE = [
+  { type: 'entity', name: 'Alice', entityType: 'Person', observations: [{ content: 'Works at Acme', validFrom: '2023-05-01T00:00:00Z' }] },
+  { type: 'entity', name: 'Bob', entityType: 'Person', observations: ['Likes tea'] }
+].map(record => JSON.stringify(record)).join('\n');
+
+test('importing the same file twice with the merge policy leaves the entities as they are', async () => {
+  const memory = createMemory();
+  const first = await importGraph(memory, FILE, { policy: 'merge' });
+  assert.equal(first.summary.entitiesCreated, 2);
+
+  const second = await importGraph(memory, FILE, { policy: 'merge' });
+  assert.equal(second.summary.entitiesCreated, 0);
+  assert.equal(second.summary.entitiesSkipped, 2);
+  assert.deepEqual(memory.entities.get('Alice').observations.map(observation => observation.content), ['Works at Acme']);
+});
+
+test('merging into entities read back from the database keeps their observations', async () => {
+  const memory = createMemory();
+  await importGraph(memory, FILE, { policy: 'merge' });
+
+  const update = JSON.stringify({ type: 'entity', name: 'Alice', entityType: 'Person', observations: ['Speaks French'] });
+  const report = await importGraph(memory, update, { policy: 'merge' });
+  assert.equal(report.summary.entitiesUpdated, 1);
+  const alice = memory.entities.get('Alice');
+  assert.deepEqual(alice.observations.map(observation => observation.content), ['Works at Acme', 'Speaks French']);
+  assert.equal(alice.observations[0].validFrom, '2023-05-01T00:00:00Z[UTC]');
+});
@@ -5,6 +5,7 @@
  */
 
 import { generateSecurityNodeName } from '../utils/uuid-utils.js';
+import { parseOntologyStructure, toOntologySubject } from '../utils/ontology-utils.js';
 import { callLLM } from '../tools/llm.js';
 
 // Dynamic import for debug logger (will be a no-op if MCP_SEMMEM_DEBUG isn't set)
@@ -333,6 +334,25 @@ export async function createBaseOntology(memory, subject, parent, securityNodeNa
 }
 
 
+/**
+ * Reads the entities and relationships declared in the stored structure of a Base Ontology
+ * @param {Object} tx - The transaction to read in
+ * @param {string} subject - The subject of the ontology, with or without the "(BO): " prefix
+ * @returns {Promise<Object|null>} - {subject, entities: [{name, type, description}], relationships: [{from, type, to}]}, or null if there is no such ontology
+ */
+export async function readOntologyStructure(tx, subject) {
+  const normalizedSubject = toOntologySubject(subject);
+  const result = await tx.run(`
+    MATCH (ontology:BaseOntology {subject: $subject})
+    RETURN ontology.structure AS structure
+    LIMIT 1
+  `, { subject: normalizedSubject });
+  if (result.records.length === 0) {
+    return null;
+  }
+  return parseOntologyStructure(normalizedSubject, result.records[0].get('structure'));
+}
+
 /**
  * Checks for related ontologies and creates connections using LLM
  * @param {Object} memory - The Neo4jMemory instance
@@ -0,0 +1,158 @@
+/**
+ * Embedding providers for semantic search
+ *
+ * A provider turns texts into vectors of a fixed length: {id, dimensions, embed(texts)}.
+ * The provider is chosen with EMBEDDING_PROVIDER:
+ *   - local  (default) a deterministic hashing embedding that works offline
+ *   - openai the OpenAI embeddings API, using OPENAI_API_KEY
+ *   - none   disables embeddings and semantic_search
+ * Other providers can be added with registerEmbeddingProvider.
+ */
+
+const DEFAULT_LOCAL_DIMENSIONS = 256;
+const DEFAULT_OPENAI_MODEL = 'text-embedding-3-small';
+const DEFAULT_OPENAI_DIMENSIONS = 1536;
+const OPENAI_BATCH_SIZE = 100;
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text - The text to hash
+ * @returns {number} - An unsigned 32 bit hash
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scales a vector to unit length, so the cosine similarity of two vectors is their dot product
+ * @param {number[]} vector - The vector to normalize in place
+ * @returns {number[]} - The same vector
+ */
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (length > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= length;
+  }
+  return vector;
+}
+
+/**
+ * Creates the local provider. Words and their character trigrams are hashed into the vector
+ * (feature hashing), so texts sharing words or word parts get similar vectors. It does not
+ * understand synonyms, but needs no network and gives the same vector for the same text every time.
+ * @param {Object} options
+ * @param {number} [options.dimensions=256] - Length of the vectors
+ * @returns {Object} - The provider
+ */
+export function createLocalEmbeddingProvider({ dimensions = DEFAULT_LOCAL_DIMENSIONS } = {}) {
+  const embedText = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    const add = (feature, weight) => {
+      const hash = hashText(feature);
+      // The top bit picks the sign, which keeps unrelated features from adding up
+      vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight;
+    };
+    const words = text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[\p{L}\p{N}]+/gu) || [];
+    for (const word of words) {
+      add(`w:${word}`, 1);
+      const padded = `#${word}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`t:${padded.slice(i, i + 3)}`, 0.5);
+      }
+    }
+    return normalize(vector);
+  };
+
+  return {
+    id: `local:${dimensions}`,
+    dimensions,
+    embed: async (texts) => texts.map(embedText)
+  };
+}
+
+/**
+ * Creates a provider using the OpenAI embeddings API
+ * @param {Object} options
+ * @param {string} options.apiKey - The OpenAI API key
+ * @param {string} [options.model='text-embedding-3-small'] - The embedding model
+ * @param {number} [options.dimensions=1536] - Length of the vectors
+ * @returns {Object} - The provider
+ */
+export function createOpenAIEmbeddingProvider({ apiKey, model = DEFAULT_OPENAI_MODEL, dimensions = DEFAULT_OPENAI_DIMENSIONS }) {
+  if (!apiKey) {
+    throw new Error('API key for embedding provider openai is not configured. Set OPENAI_API_KEY environment variable.');
+  }
+
+  const embedBatch = async (texts) => {
+    const response = await fetch('https://api.openai.com/v1/embeddings', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({ model, input: texts, dimensions })
+    });
+    if (!response.ok) {
+      throw new Error(`Embedding API call failed with status ${response.status}: ${await response.text()}`);
+    }
+    const { data } = await response.json();
+    return data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+  };
+
+  return {
+    id: `openai:${model}:${dimensions}`,
+    dimensions,
+    embed: async (texts) => {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += OPENAI_BATCH_SIZE) {
+        vectors.push(...await embedBatch(texts.slice(i, i + OPENAI_BATCH_SIZE)));
+      }
+      return vectors;
+    }
+  };
+}
+
+// Provider factories by name, each receives the environment and returns a provider
+const providerFactories = {
+  none: () => null,
+  local: env => createLocalEmbeddingProvider({
+    dimensions: Number(env.EMBEDDING_DIMENSIONS || DEFAULT_LOCAL_DIMENSIONS)
+  }),
+  openai: env => createOpenAIEmbeddingProvider({
+    apiKey: env.OPENAI_API_KEY,
+    model: env.EMBEDDING_MODEL || DEFAULT_OPENAI_MODEL,
+    dimensions: Number(env.EMBEDDING_DIMENSIONS || DEFAULT_OPENAI_DIMENSIONS)
+  })
+};
+
+/**
+ * Registers an embedding provider that can then be selected with EMBEDDING_PROVIDER
+ * @param {string} name - The provider name
+ * @param {Function} factory - Receives the environment and returns {id, dimensions, embed(texts)}
+ */
+export function registerEmbeddingProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+/**
+ * Creates the embedding provider configured in the environment
+ * @param {Object} [env=process.env] - The environment variables
+ * @returns {Object|null} - The provider, or null when embeddings are disabled
+ */
+export function createEmbeddingProvider(env = process.env) {
+  const name = (env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider '${name}'. Available providers: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  const provider = factory(env);
+  if (provider && !(Number.isInteger(provider.dimensions) && provider.dimensions > 0)) {
+    throw new Error(`Embedding provider '${name}' must have a positive integer number of dimensions`);
+  }
+  return provider;
+}
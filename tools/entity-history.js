@@ -0,0 +1,114 @@
+/**
+ * Entity History Tool Implementation
+ *
+ * This module provides the get_entity_history and revert_entity tools on top of the
+ * :EntityChange events that Neo4jMemory records for every mutation
+ */
+
+/**
+ * Describes what changed between two recorded entity states
+ * @param {Object|null} before - The state before the change, null if the entity did not exist
+ * @param {Object|null} after - The state after the change, null if the entity was deleted
+ * @returns {Object} - The differences, empty sections are left out
+ */
+export function diffEntityStates(before, after) {
+  let change = !before ? 'created' : !after ? 'deleted' : 'updated';
+  if (before && after && before.trashed !== after.trashed) {
+    change = after.trashed ? 'trashed' : 'restored';
+  }
+  const diff = { change };
+  const previous = before || { properties: {}, observations: [], relations: [] };
+  const next = after || { properties: {}, observations: [], relations: [] };
+
+  const properties = {};
+  const keys = new Set([...Object.keys(previous.properties), ...Object.keys(next.properties)]);
+  for (const key of keys) {
+    const from = previous.properties[key];
+    const to = next.properties[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      properties[key] = { from: from ?? null, to: to ?? null };
+    }
+  }
+  if (Object.keys(properties).length > 0) diff.properties = properties;
+
+  const previousObservations = new Map(previous.observations.map(o => [o.content, o]));
+  const nextObservations = new Map(next.observations.map(o => [o.content, o]));
+  const observationsAdded = [...nextObservations.keys()].filter(content => !previousObservations.has(content));
+  const observationsRemoved = [...previousObservations.keys()].filter(content => !nextObservations.has(content));
+  const observationsUpdated = [...nextObservations.keys()].filter(content => previousObservations.has(content) &&
+    JSON.stringify(previousObservations.get(content)) !== JSON.stringify(nextObservations.get(content)));
+  if (observationsAdded.length > 0) diff.observationsAdded = observationsAdded;
+  if (observationsRemoved.length > 0) diff.observationsRemoved = observationsRemoved;
+  if (observationsUpdated.length > 0) diff.observationsUpdated = observationsUpdated;
+
+  const describeRelation = r => `${r.relationType} -> ${r.to}${r.properties ? ` ${JSON.stringify(r.properties)}` : ''}`;
+  const previousRelations = new Set(previous.relations.map(describeRelation));
+  const nextRelations = new Set(next.relations.map(describeRelation));
+  const relationsAdded = [...nextRelations].filter(r => !previousRelations.has(r));
+  const relationsRemoved = [...previousRelations].filter(r => !nextRelations.has(r));
+  if (relationsAdded.length > 0) diff.relationsAdded = relationsAdded;
+  if (relationsRemoved.length > 0) diff.relationsRemoved = relationsRemoved;
+
+  return diff;
+}
+
+/**
+ * Main function to handle the get_entity_history tool request
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The entity's changes, newest first, with their diffs
+ */
+export async function handleGetEntityHistory(memory, args) {
+  const { entityName, limit = 50, includeStates = false } = args;
+  if (!entityName) {
+    return {
+      success: false,
+      message: 'Missing required parameter: entityName'
+    };
+  }
+
+  const changes = await memory.getEntityHistory(entityName, limit);
+  return {
+    success: true,
+    entityName,
+    changes: changes.map(change => ({
+      version: change.version,
+      operation: change.operation,
+      timestamp: change.timestamp,
+      ...(change.details ? { details: change.details } : {}),
+      diff: diffEntityStates(change.before, change.after),
+      ...(includeStates ? { before: change.before, after: change.after } : {})
+    }))
+  };
+}
+
+/**
+ * Main function to handle the revert_entity tool request
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - Result of the operation
+ */
+export async function handleRevertEntity(memory, args) {
+  const { entityName, version } = args;
+  if (!entityName || version === undefined) {
+    return {
+      success: false,
+      message: 'Missing required parameters: entityName and version'
+    };
+  }
+
+  try {
+    const state = await memory.revertEntity(entityName, version);
+    return {
+      success: true,
+      message: `Reverted entity '${entityName}' to version ${version}`,
+      entity: state
+    };
+  } catch (error) {
+    console.error(`Error reverting entity: ${error.message}`);
+    return {
+      success: false,
+      message: `Error reverting entity: ${error.message}`
+    };
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Entity Type Registry Tool Implementation
+ *
+ * This module provides the define_entity_type, list_entity_types and deprecate_entity_type tools.
+ * The registry of a namespace is a set of :EntityType nodes, each with a canonical name, aliases
+ * and an optional JSON Schema for the properties of its entities. Neo4jMemory.createEntities
+ * checks new entities against it (see MEMORY_TYPE_VALIDATION).
+ */
+
+import { checkSchema } from '../utils/json-schema.js';
+import { normalizeText } from '../utils/text-similarity.js';
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Checks a type name or alias
+ * @param {*} name - The name
+ * @param {string} what - What the name is, used in the error message
+ * @returns {string} - The trimmed name
+ */
+function checkName(name, what) {
+  if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH || normalizeText(name) === '') {
+    throw new Error(`${what} must be a string of at most ${MAX_NAME_LENGTH} characters with at least one letter or digit, got ${JSON.stringify(name)}`);
+  }
+  return name.trim();
+}
+
+/**
+ * Main function to handle the define_entity_type tool request
+ * Defining a type that exists replaces its aliases, description and schema, and takes it out of deprecation.
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The type as stored
+ */
+export async function handleDefineEntityType(memory, args) {
+  const { description = null, aliases = [], schema = null } = args;
+  const name = checkName(args.name, 'Entity type name');
+  if (!Array.isArray(aliases)) {
+    throw new Error('aliases must be an array of strings');
+  }
+  const checkedAliases = [...new Set(aliases.map(alias => checkName(alias, 'Alias')))]
+    .filter(alias => normalizeText(alias) !== normalizeText(name));
+  if (schema !== null) {
+    checkSchema(schema);
+  }
+
+  return memory.runWriteTransaction('defineEntityType', async (tx) => {
+    // Names and aliases are matched ignoring case and punctuation, so they must stay apart after normalizing
+    const owners = new Map();
+    for (const type of await memory.readEntityTypes(tx)) {
+      if (type.name === name) continue;
+      [type.name, ...type.aliases].forEach(key => owners.set(normalizeText(key), type.name));
+    }
+    const clashes = [name, ...checkedAliases].filter(key => owners.has(normalizeText(key)));
+    if (clashes.length > 0) {
+      return {
+        success: false,
+        message: `Already used by another entity type: ${clashes.map(key => `'${key}' (${owners.get(normalizeText(key))})`).join(', ')}`
+      };
+    }
+
+    const result = await tx.run(`
+      MERGE (type:EntityType {namespace: $namespace, name: $name})
+      ON CREATE SET type.createdAt = datetime({timezone: 'UTC'})
+      SET type.aliases = $aliases,
+          type.description = $description,
+          type.schema = $schema,
+          type.updatedAt = datetime({timezone: 'UTC'})
+      REMOVE type.deprecatedAt, type.replacedBy
+      RETURN type.createdAt = type.updatedAt AS created
+    `, { name, aliases: checkedAliases, description, schema: schema === null ? null : JSON.stringify(schema) });
+    const created = result.records[0].get('created');
+    const types = await memory.readEntityTypes(tx);
+    return {
+      success: true,
+      message: `Entity type ${name} ${created ? 'defined' : 'updated'}`,
+      entityType: types.find(type => type.name === name)
+    };
+  });
+}
+
+/**
+ * Main function to handle the list_entity_types tool request
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The registered types with the number of live entities of each
+ */
+export async function handleListEntityTypes(memory, args) {
+  const { includeDeprecated = false } = args;
+  return memory.runReadTransaction('listEntityTypes', async (tx) => {
+    const types = await memory.readEntityTypes(tx);
+    const counts = await tx.run(`
+      MATCH (entity:Memory {namespace: $namespace})
+      WHERE entity.entityType IN $names AND entity.deletedAt IS NULL
+      RETURN entity.entityType AS name, count(entity) AS entities
+    `, { names: types.map(type => type.name) });
+    const entities = new Map(counts.records.map(record => [record.get('name'), record.get('entities').toNumber()]));
+    return {
+      success: true,
+      validation: memory.typeValidation,
+      entityTypes: types
+        .filter(type => includeDeprecated || !type.deprecatedAt)
+        .map(type => ({ ...type, entities: entities.get(type.name) ?? 0 }))
+    };
+  });
+}
+
+/**
+ * Main function to handle the deprecate_entity_type tool request
+ * Entities of a deprecated type keep it; new entities are moved to the replacement, or warned about
+ * (lenient validation) or rejected (strict validation) when there is none.
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - Whether the type was deprecated
+ */
+export async function handleDeprecateEntityType(memory, args) {
+  const name = checkName(args.name, 'Entity type name');
+  const replacedBy = args.replacedBy === undefined || args.replacedBy === null
+    ? null
+    : checkName(args.replacedBy, 'replacedBy');
+
+  return memory.runWriteTransaction('deprecateEntityType', async (tx) => {
+    const types = new Map((await memory.readEntityTypes(tx)).map(type => [type.name, type]));
+    if (!types.has(name)) {
+      return {
+        success: false,
+        message: `Entity type ${name} not found`
+      };
+    }
+    if (replacedBy !== null && (!types.has(replacedBy) || types.get(replacedBy).deprecatedAt || replacedBy === name)) {
+      return {
+        success: false,
+        message: `replacedBy must be another entity type that is not deprecated, got ${replacedBy}`
+      };
+    }
+    await tx.run(`
+      MATCH (type:EntityType {namespace: $namespace, name: $name})
+      SET type.deprecatedAt = coalesce(type.deprecatedAt, datetime({timezone: 'UTC'})),
+          type.replacedBy = $replacedBy,
+          type.updatedAt = datetime({timezone: 'UTC'})
+    `, { name, replacedBy });
+    // Types already replaced by this one now point to its replacement
+    if (replacedBy !== null) {
+      await tx.run(`
+        MATCH (type:EntityType {namespace: $namespace, replacedBy: $name})
+        SET type.replacedBy = $replacedBy, type.updatedAt = datetime({timezone: 'UTC'})
+      `, { name, replacedBy });
+    }
+    return {
+      success: true,
+      message: replacedBy
+        ? `Entity type ${name} deprecated, new entities of this type become ${replacedBy}`
+        : `Entity type ${name} deprecated`
+    };
+  });
+}
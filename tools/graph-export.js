@@ -0,0 +1,512 @@
+/**
+ * Graph Export Tool Implementation
+ *
+ * This module provides the export_graph tool and CLI command, which write the memory graph of a
+ * namespace, and optionally the BaseOntology graph, as JSON Lines, GraphML, a Cypher script or
+ * RDF Turtle. Only current facts are exported: trashed entities and relations, and superseded
+ * observations and relations, are left out.
+ */
+
+import { toPlainProperties } from '../utils/neo4j-utils.js';
+import { MAX_DEPTH, checkRange, expandNeighborhood } from './graph-traversal.js';
+
+// Version of the JSON Lines layout, written in its header line
+export const EXPORT_FORMAT_VERSION = 1;
+
+const DEFAULT_ROOT_DEPTH = 2;
+
+// Properties of memory nodes and relations holding timestamps, exported as typed dates where the format has them
+export const DATETIME_PROPERTIES = ['createdAt', 'updatedAt', 'validFrom', 'validTo', 'supersededAt', 'deletedAt', 'lastAccessedAt', 'summarizedAt'];
+
+// Labels of the nodes that make up the memory graph and its bookkeeping, never exported as ontology nodes
+export const MEMORY_LABELS = ['Memory', 'Observation', 'EntityChange', 'SecurityNode', 'SchemaVersion', 'MemorySnapshot', 'EntityType'];
+
+// Base of the IRIs minted for the RDF export
+const IRI_BASE = 'urn:mcp-neo4j-memory:';
+
+/**
+ * Reads the part of the memory graph to export
+ * @param {Object} memory - The Neo4jMemory instance, scoped to the namespace to export
+ * @param {Object} [options]
+ * @param {string[]} [options.entityTypes] - Only export entities of these types
+ * @param {string} [options.root] - Only export the entities connected to this entity
+ * @param {number} [options.depth=2] - Maximum number of relation hops from the root
+ * @param {boolean} [options.includeOntology=false] - Also export the BaseOntology graph
+ * @returns {Promise<Object>} - {namespace, exportedAt, entities, relations, ontology: {nodes, relationships} | null}
+ */
+export async function collectGraph(memory, { entityTypes = [], root = null, depth = DEFAULT_ROOT_DEPTH, includeOntology = false } = {}) {
+  checkRange(depth, 'depth', 1, MAX_DEPTH);
+  const rootName = root ? (await memory.resolveEntityNames([root])).get(root) : null;
+  const typeFilter = entityTypes.length > 0 ? entityTypes : null;
+
+  return memory.runReadTransaction('exportGraph', async (tx) => {
+    let selected;
+    if (rootName) {
+      const found = await tx.run(`
+        MATCH (root:Memory {namespace: $namespace, entityID: $rootName})
+        WHERE root.deletedAt IS NULL
+        RETURN count(root) AS found
+      `, { rootName });
+      if (found.records[0].get('found').toNumber() === 0) {
+        throw new Error(`Entity not found: ${root}`);
+      }
+      const reached = await expandNeighborhood(tx, [rootName], { depth });
+      const filtered = await tx.run(`
+        MATCH (entity:Memory {namespace: $namespace})
+        WHERE entity.entityID IN $names AND ($entityTypes IS NULL OR entity.entityType IN $entityTypes)
+        RETURN collect(entity.entityID) AS names
+      `, { names: [rootName, ...reached.keys()], entityTypes: typeFilter });
+      selected = filtered.records[0].get('names');
+    } else {
+      const all = await tx.run(`
+        MATCH (entity:Memory {namespace: $namespace})
+        WHERE entity.deletedAt IS NULL AND ($entityTypes IS NULL OR entity.entityType IN $entityTypes)
+        RETURN collect(entity.entityID) AS names
+      `, { entityTypes: typeFilter });
+      selected = all.records[0].get('names');
+    }
+    const { entities, relations } = await memory.readSubgraph(tx, selected);
+
+    return {
+      namespace: memory.namespace,
+      exportedAt: new Date().toISOString(),
+      entities,
+      relations,
+      ontology: includeOntology ? await readOntology(tx) : null
+    };
+  });
+}
+
+/**
+ * Reads the BaseOntology nodes, the nodes directly connected to them outside the memory graph,
+ * and the relationships between all of these
+ * @param {Object} tx - The transaction to read in
+ * @returns {Promise<Object>} - {nodes: [{id, labels, properties}], relationships: [{type, from, to, properties}]}
+ */
+export async function readOntology(tx) {
+  const nodesResult = await tx.run(`
+    MATCH (ontology:BaseOntology)
+    OPTIONAL MATCH (ontology)--(neighbour)
+    WHERE none(label IN labels(neighbour) WHERE label IN $memoryLabels)
+    WITH collect(DISTINCT ontology) + collect(DISTINCT neighbour) AS nodes
+    UNWIND nodes AS node
+    WITH DISTINCT node
+    RETURN elementId(node) AS id, labels(node) AS labels, properties(node) AS properties
+    ORDER BY id
+  `, { memoryLabels: MEMORY_LABELS });
+  const nodes = nodesResult.records.map(record => ({
+    id: record.get('id'),
+    labels: record.get('labels'),
+    properties: toPlainProperties(record.get('properties'))
+  }));
+
+  const relationshipsResult = await tx.run(`
+    UNWIND $ids AS id
+    MATCH (from)-[r]->(to)
+    WHERE elementId(from) = id AND elementId(to) IN $ids
+    RETURN type(r) AS type, elementId(from) AS from, elementId(to) AS to, properties(r) AS properties
+    ORDER BY from, type, to
+  `, { ids: nodes.map(node => node.id) });
+  const relationships = relationshipsResult.records.map(record => ({
+    type: record.get('type'),
+    from: record.get('from'),
+    to: record.get('to'),
+    properties: toPlainProperties(record.get('properties'))
+  }));
+  return { nodes, relationships };
+}
+
+/**
+ * Writes the graph as JSON Lines: a header line, then one line per entity, relation, ontology node
+ * and ontology relationship, each with a `type` field. This is the format import_graph reads back.
+ * @param {Object} graph - The graph returned by collectGraph
+ * @returns {string} - The JSON Lines text
+ */
+export function toJsonLines(graph) {
+  const lines = [{
+    type: 'header',
+    format: 'mcp-neo4j-memory',
+    version: EXPORT_FORMAT_VERSION,
+    namespace: graph.namespace,
+    exportedAt: graph.exportedAt
+  }];
+  lines.push(...graph.entities.map(entity => ({ type: 'entity', ...entity })));
+  lines.push(...graph.relations.map(relation => ({ type: 'relation', ...relation })));
+  if (graph.ontology) {
+    lines.push(...graph.ontology.nodes.map(node => ({ type: 'ontologyNode', ...node })));
+    lines.push(...graph.ontology.relationships.map(({ type, ...relationship }) => ({
+      type: 'ontologyRelationship',
+      relationshipType: type,
+      ...relationship
+    })));
+  }
+  return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+/**
+ * Escapes text one character at a time
+ * @param {string} value - The text
+ * @param {Object} escapes - Characters to the text written for them
+ * @param {Function} escapeControl - Writes any other control character below U+0020, given its code
+ * @returns {string} - The escaped text
+ */
+function escapeText(value, escapes, escapeControl) {
+  let escaped = '';
+  for (const c of value) {
+    if (escapes[c]) {
+      escaped += escapes[c];
+    } else if (c.charCodeAt(0) < 0x20) {
+      escaped += escapeControl(c.charCodeAt(0));
+    } else {
+      escaped += c;
+    }
+  }
+  return escaped;
+}
+
+/**
+ * Writes a character code as a \u escape, as understood by Cypher and Turtle string literals
+ * @param {number} code - The character code
+ * @returns {string} - The escape
+ */
+function unicodeEscape(code) {
+  return `\\u${code.toString(16).padStart(4, '0')}`;
+}
+
+// Escapes of the characters with a meaning in XML
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' };
+
+// Control characters XML 1.0 allows, others can't be written even as character references
+const XML_CONTROL_CHARACTERS = ['\t', '\n', '\r'].map(c => c.charCodeAt(0));
+
+/**
+ * Escapes text for an XML attribute or element
+ * Control characters XML 1.0 doesn't allow are replaced by U+FFFD.
+ * @param {*} value - The value, converted to a string
+ * @returns {string} - The escaped text
+ */
+function escapeXml(value) {
+  return escapeText(String(value), XML_ESCAPES,
+    code => (XML_CONTROL_CHARACTERS.includes(code) ? String.fromCharCode(code) : '\uFFFD'));
+}
+
+/**
+ * Writes the graph as GraphML. Observations and the remaining properties are stored as JSON text
+ * in data elements, since GraphML attributes hold only plain values.
+ * @param {Object} graph - The graph returned by collectGraph
+ * @returns {string} - The GraphML document
+ */
+export function toGraphML(graph) {
+  const data = (key, value) => `<data key="${key}">${escapeXml(value)}</data>`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="labels" for="node" attr.name="labels" attr.type="string"/>',
+    '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+    '  <key id="entityType" for="node" attr.name="entityType" attr.type="string"/>',
+    '  <key id="observations" for="node" attr.name="observations" attr.type="string"/>',
+    '  <key id="type" for="edge" attr.name="type" attr.type="string"/>',
+    '  <key id="properties" for="all" attr.name="properties" attr.type="string"/>',
+    `  <graph id="${escapeXml(graph.namespace)}" edgedefault="directed">`
+  ];
+
+  for (const { name, entityType, observations, ...properties } of graph.entities) {
+    lines.push(`    <node id="${escapeXml(`entity:${name}`)}">${[
+      data('labels', 'Memory'),
+      data('name', name),
+      data('entityType', entityType ?? ''),
+      data('observations', JSON.stringify(observations)),
+      data('properties', JSON.stringify(properties))
+    ].join('')}</node>`);
+  }
+  graph.relations.forEach(({ from, to, relationType, properties = {}, ...period }, index) => {
+    lines.push(`    <edge id="relation:${index}" source="${escapeXml(`entity:${from}`)}" target="${escapeXml(`entity:${to}`)}">${[
+      data('type', relationType),
+      data('properties', JSON.stringify({ ...period, ...properties }))
+    ].join('')}</edge>`);
+  });
+
+  if (graph.ontology) {
+    for (const { id, labels, properties } of graph.ontology.nodes) {
+      lines.push(`    <node id="${escapeXml(`ontology:${id}`)}">${[
+        data('labels', labels.join(':')),
+        data('name', properties.name ?? properties.subject ?? ''),
+        data('properties', JSON.stringify(properties))
+      ].join('')}</node>`);
+    }
+    graph.ontology.relationships.forEach(({ type, from, to, properties }, index) => {
+      lines.push(`    <edge id="ontology:${index}" source="${escapeXml(`ontology:${from}`)}" target="${escapeXml(`ontology:${to}`)}">${[
+        data('type', type),
+        data('properties', JSON.stringify(properties))
+      ].join('')}</edge>`);
+    });
+  }
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes a name as a Cypher identifier, quoted with backticks when needed
+ * @param {string} name - A property key, label or relationship type
+ * @returns {string} - The identifier
+ */
+function cypherName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `\`${name.replace(/`/g, '``')}\``;
+}
+
+// Escapes of the characters that can't be written as they are in a Cypher string literal
+const CYPHER_STRING_ESCAPES = { '\\': '\\\\', '\'': '\\\'', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+/**
+ * Writes a value as a Cypher literal
+ * @param {*} value - A string, number, boolean, array or plain object
+ * @param {boolean} [datetime=false] - Write a string as a datetime
+ * @returns {string} - The literal
+ */
+function cypherLiteral(value, datetime = false) {
+  if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => cypherLiteral(item)).join(', ')}]`;
+  }
+  if (typeof value === 'object') {
+    return cypherMap(value);
+  }
+  if (typeof value !== 'string') {
+    return String(value);
+  }
+  const text = `'${escapeText(value, CYPHER_STRING_ESCAPES, unicodeEscape)}'`;
+  return datetime ? `datetime(${text})` : text;
+}
+
+/**
+ * Writes properties as a Cypher map literal, timestamps become datetime values
+ * @param {Object} properties - The properties
+ * @returns {string} - The map literal
+ */
+function cypherMap(properties) {
+  const entries = Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${cypherName(key)}: ${cypherLiteral(value, DATETIME_PROPERTIES.includes(key) && typeof value === 'string')}`);
+  return `{${entries.join(', ')}}`;
+}
+
+/**
+ * Writes the graph as a Cypher script recreating it, one statement per line.
+ * Entities, observations and relations are merged, so running the script twice does not duplicate them.
+ * Ontology nodes are matched through a temporary _exportId property that the last statement removes.
+ * @param {Object} graph - The graph returned by collectGraph
+ * @returns {string} - The script
+ */
+export function toCypherScript(graph) {
+  const namespace = cypherLiteral(graph.namespace);
+  const lines = [`// Memory graph of namespace ${graph.namespace}, exported ${graph.exportedAt}`];
+
+  for (const { observations, ...properties } of graph.entities) {
+    const entity = `(entity:Memory {namespace: ${namespace}, entityID: ${cypherLiteral(properties.entityID ?? properties.name)}})`;
+    lines.push(observations.length === 0
+      ? `MERGE ${entity} SET entity += ${cypherMap(properties)};`
+      : `MERGE ${entity} SET entity += ${cypherMap(properties)} WITH entity UNWIND ${cypherLiteral(observations)} AS observation `
+        + 'MERGE (node:Observation {id: observation.id}) SET node += observation '
+        + 'MERGE (entity)-[:HAS_OBSERVATION]->(node);');
+  }
+  for (const { from, to, relationType, properties = {}, ...period } of graph.relations) {
+    lines.push(`MATCH (from:Memory {namespace: ${namespace}, entityID: ${cypherLiteral(from)}}), `
+      + `(to:Memory {namespace: ${namespace}, entityID: ${cypherLiteral(to)}}) `
+      + `MERGE (from)-[relation:${cypherName(relationType)}]->(to) `
+      + `SET relation += ${cypherMap({ ...properties, ...period })}, relation.createdAt = coalesce(relation.createdAt, datetime());`);
+  }
+
+  if (graph.ontology) {
+    const nodeLabels = new Map(graph.ontology.nodes.map(node => [node.id, node.labels]));
+    const nodePattern = (variable, id) => `(${variable}:${cypherName(nodeLabels.get(id)[0])} {_exportId: ${cypherLiteral(id)}})`;
+    for (const { id, labels, properties } of graph.ontology.nodes) {
+      const extraLabels = labels.slice(1).map(label => `:${cypherName(label)}`).join('');
+      lines.push(`MERGE ${nodePattern('node', id)} SET node += ${cypherMap(properties)}${extraLabels ? `, node${extraLabels}` : ''};`);
+    }
+    for (const { type, from, to, properties } of graph.ontology.relationships) {
+      lines.push(`MATCH ${nodePattern('from', from)}, ${nodePattern('to', to)} `
+        + `MERGE (from)-[relationship:${cypherName(type)}]->(to) SET relationship += ${cypherMap(properties)};`);
+    }
+    lines.push('MATCH (node) WHERE node._exportId IS NOT NULL REMOVE node._exportId;');
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Builds an IRI under IRI_BASE from path segments, each percent-encoded
+ * @param {...string} segments - The segments, e.g. 'default', 'entity', 'Alice'
+ * @returns {string} - The IRI in angle brackets
+ */
+function iri(...segments) {
+  return `<${IRI_BASE}${segments.map(segment => encodeURIComponent(segment)).join(':')}>`;
+}
+
+/**
+ * Builds the predicate of a relationship type, under the rel: prefix when the type is a valid local name
+ * @param {string} type - The relationship type
+ * @returns {string} - The predicate
+ */
+function relationPredicate(type) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(type) ? `rel:${type}` : `<${IRI_BASE}relation#${encodeURIComponent(type)}>`;
+}
+
+// Escapes of the characters that can't be written as they are in a Turtle string literal
+const TURTLE_STRING_ESCAPES = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+/**
+ * Writes a value as Turtle objects, arrays become one object per item
+ * @param {*} value - A string, number, boolean or array of them
+ * @param {boolean} [datetime=false] - Type a string as xsd:dateTime
+ * @returns {string[]} - The objects, empty for null
+ */
+function turtleObjects(value, datetime = false) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(item => turtleObjects(item));
+  }
+  if (typeof value === 'boolean') {
+    return [String(value)];
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? [`"${value}"^^xsd:integer`] : [`"${value}"^^xsd:double`];
+  }
+  if (typeof value === 'object') {
+    value = JSON.stringify(value);
+  }
+  const text = `"${escapeText(String(value), TURTLE_STRING_ESCAPES, unicodeEscape)}"`;
+  return [datetime ? `${text}^^xsd:dateTime` : text];
+}
+
+/**
+ * Builds the predicate-object pairs of the properties of a node or relation
+ * @param {Object} properties - The properties
+ * @returns {string[]} - Pairs such as `mem:source "email"`
+ */
+function turtleProperties(properties) {
+  return Object.entries(properties).flatMap(([key, value]) => {
+    const objects = turtleObjects(value, DATETIME_PROPERTIES.includes(key));
+    return objects.length > 0 ? [`${iri('property', key)} ${objects.join(', ')}`] : [];
+  });
+}
+
+/**
+ * Writes the graph as RDF Turtle. Entities and ontology nodes become resources, observations blank
+ * nodes of their entity, and relations triples; relations with properties are also described by a
+ * reified rdf:Statement carrying them.
+ * @param {Object} graph - The graph returned by collectGraph
+ * @returns {string} - The Turtle document
+ */
+export function toTurtle(graph) {
+  const subject = (node, pairs) => `${node}\n    ${pairs.join(' ;\n    ')} .`;
+  const entityIri = name => iri(graph.namespace, 'entity', name);
+  const blocks = [[
+    '@prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .',
+    '@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .',
+    '@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .',
+    `@prefix mem: <${IRI_BASE}schema#> .`,
+    `@prefix rel: <${IRI_BASE}relation#> .`
+  ].join('\n')];
+
+  for (const { name, entityType, observations, ...properties } of graph.entities) {
+    blocks.push(subject(entityIri(name), [
+      'a mem:Entity',
+      `rdfs:label ${turtleObjects(name)[0]}`,
+      ...(entityType ? [`mem:entityType ${turtleObjects(entityType)[0]}`] : []),
+      ...turtleProperties(properties),
+      ...observations.map(observation => `mem:observation [\n        ${turtleProperties(observation).join(' ;\n        ')}\n    ]`)
+    ]));
+  }
+  for (const { from, to, relationType, properties = {}, ...period } of graph.relations) {
+    const predicate = relationPredicate(relationType);
+    blocks.push(`${entityIri(from)} ${predicate} ${entityIri(to)} .`);
+    const described = turtleProperties({ ...period, ...properties });
+    if (described.length > 0) {
+      blocks.push(subject('[]', [
+        'a rdf:Statement',
+        `rdf:subject ${entityIri(from)}`,
+        `rdf:predicate ${predicate}`,
+        `rdf:object ${entityIri(to)}`,
+        ...described
+      ]));
+    }
+  }
+
+  if (graph.ontology) {
+    for (const { id, labels, properties } of graph.ontology.nodes) {
+      const label = properties.name ?? properties.subject;
+      blocks.push(subject(iri('ontology', id), [
+        `a ${labels.map(name => iri('label', name)).join(', ')}`,
+        ...(label ? [`rdfs:label ${turtleObjects(String(label))[0]}`] : []),
+        ...turtleProperties(properties)
+      ]));
+    }
+    for (const { type, from, to } of graph.ontology.relationships) {
+      blocks.push(`${iri('ontology', from)} ${relationPredicate(type)} ${iri('ontology', to)} .`);
+    }
+  }
+  return blocks.join('\n\n') + '\n';
+}
+
+// Serializers by format name, with the file extension of the format
+export const EXPORT_FORMATS = {
+  jsonl: { serialize: toJsonLines, extension: 'jsonl' },
+  graphml: { serialize: toGraphML, extension: 'graphml' },
+  cypher: { serialize: toCypherScript, extension: 'cypher' },
+  turtle: { serialize: toTurtle, extension: 'ttl' }
+};
+
+/**
+ * Exports the memory graph in the given format
+ * @param {Object} memory - The Neo4jMemory instance, scoped to the namespace to export
+ * @param {Object} options - The format, and the options of collectGraph
+ * @returns {Promise<Object>} - {content, counts: {entities, relations, ontologyNodes, ontologyRelationships}}
+ */
+export async function exportGraph(memory, { format = 'jsonl', ...options } = {}) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format '${format}', expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const graph = await collectGraph(memory, options);
+  return {
+    content: exporter.serialize(graph),
+    counts: {
+      entities: graph.entities.length,
+      relations: graph.relations.length,
+      ...(graph.ontology ? {
+        ontologyNodes: graph.ontology.nodes.length,
+        ontologyRelationships: graph.ontology.relationships.length
+      } : {})
+    }
+  };
+}
+
+/**
+ * Main function to handle the export_graph tool request
+ * The export is returned in the response, writing it to a file is left to the export-graph CLI command.
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The export with its counts
+ */
+export async function handleExportGraph(memory, args) {
+  const {
+    format = 'jsonl',
+    entityTypes = [],
+    root = null,
+    depth = DEFAULT_ROOT_DEPTH,
+    includeOntology = false
+  } = args;
+
+  const { content, counts } = await exportGraph(memory, { format, entityTypes, root, depth, includeOntology });
+  return {
+    success: true,
+    format,
+    namespace: memory.namespace,
+    ...counts,
+    content
+  };
+}
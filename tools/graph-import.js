@@ -0,0 +1,299 @@
+/**
+ * Graph Import Tool Implementation
+ *
+ * This module provides the import_graph tool and CLI command. It reads JSON Lines in the format of
+ * the reference @modelcontextprotocol/server-memory (memory.json) or the JSON Lines written by
+ * export_graph, and upserts the entities and relations in batches through Neo4jMemory.
+ */
+
+import { toRelationshipType } from '../utils/cypher-utils.js';
+import { EXPORT_FORMAT_VERSION } from './graph-export.js';
+
+const DEFAULT_BATCH_SIZE = 100;
+const MAX_BATCH_SIZE = 1000;
+
+// What happens to an entity or relation that already exists
+const CONFLICT_POLICIES = {
+  merge: 'add the imported observations and properties to the existing entity or relation',
+  replace: 'replace the existing entity or relation with the imported one',
+  skip: 'leave the existing entity or relation as it is'
+};
+
+// Entity properties that are bookkeeping of the exporting graph, never imported
+const BOOKKEEPING_PROPERTIES = [
+  'entityID', 'createdAt', 'updatedAt', 'deletedAt', 'namespace', 'embedding', 'embeddingModel', 'accessCount', 'lastAccessedAt',
+  'summary', 'summaryObservationIds', 'summarizedAt'
+];
+
+// Record types of the export_graph JSON Lines that are recognised but not imported
+const IGNORED_TYPES = ['ontologyNode', 'ontologyRelationship'];
+
+/**
+ * Parses JSON Lines into the entities and relations to import
+ * Lines that can't be parsed are reported with their line number and otherwise skipped.
+ * @param {string} text - The JSON Lines text
+ * @returns {Object} - {format, entities, relations, ignored, errors: [{line, message}]}
+ * @throws {Error} - If the file was exported by a newer version of this server
+ */
+export function parseJsonLines(text) {
+  const parsed = { format: 'server-memory', entities: [], relations: [], ignored: 0, errors: [] };
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // The parser's message quotes the line, which is left out of the report
+      parsed.errors.push({ line: index + 1, message: 'Invalid JSON' });
+      return;
+    }
+    if (record.type === 'header') {
+      if (record.version > EXPORT_FORMAT_VERSION) {
+        throw new Error(`The file was exported in format version ${record.version}, this server reads up to version ${EXPORT_FORMAT_VERSION}`);
+      }
+      parsed.format = 'export';
+    } else if (record.type === 'entity') {
+      if (typeof record.name !== 'string' || record.name === '') {
+        parsed.errors.push({ line: index + 1, message: 'Entity without a name' });
+      } else {
+        parsed.entities.push(record);
+      }
+    } else if (record.type === 'relation') {
+      if (!record.from || !record.to || !record.relationType) {
+        parsed.errors.push({ line: index + 1, message: 'Relation without from, to or relationType' });
+      } else {
+        parsed.relations.push(record);
+      }
+    } else if (IGNORED_TYPES.includes(record.type)) {
+      parsed.ignored++;
+    } else {
+      parsed.errors.push({ line: index + 1, message: `Unknown record type: ${JSON.stringify(record.type)}` });
+    }
+  });
+  return parsed;
+}
+
+/**
+ * Drops the time zone name Neo4j appends to exported date-times, e.g. 2024-01-01T00:00:00Z[UTC],
+ * which the offset already pins down and which ISO 8601 parsers don't accept
+ * @param {string} [value] - The date-time
+ * @returns {string|undefined} - The date-time without the zone name
+ */
+function toTimestamp(value) {
+  return typeof value === 'string' ? value.replace(/([+-]\d{2}:\d{2}|Z)\[[^\]]+\]$/, '$1') : value ?? undefined;
+}
+
+/**
+ * Builds an observation passed to Neo4jMemory.createEntities from an imported or stored observation
+ * @param {string|Object} observation - The content, or the observation with its provenance
+ * @returns {string|Object} - The content, or {content, source, confidence, tags, validFrom, validTo}
+ */
+function toObservationInput(observation) {
+  return typeof observation === 'string'
+    ? observation
+    : {
+      content: observation.content,
+      source: observation.source ?? undefined,
+      confidence: observation.confidence ?? undefined,
+      tags: observation.tags ?? undefined,
+      validFrom: toTimestamp(observation.validFrom),
+      validTo: toTimestamp(observation.validTo)
+    };
+}
+
+/**
+ * Builds the entity passed to Neo4jMemory.createEntities from an imported entity record
+ * @param {Object} record - The entity record
+ * @returns {Object} - {name, entityType, observations, ...properties}
+ */
+function toEntityInput(record) {
+  const { observations = [], ...properties } = record;
+  ['type', ...BOOKKEEPING_PROPERTIES].forEach(key => delete properties[key]);
+  return {
+    ...properties,
+    observations: observations.map(toObservationInput)
+  };
+}
+
+/**
+ * Tells whether merging an imported entity into an existing one would change it
+ * @param {Object} existing - The existing entity, as returned by openNodes
+ * @param {Object} entity - The imported entity input
+ * @returns {boolean} - True if the import adds an observation or changes a property
+ */
+function mergeChanges(existing, entity) {
+  const contents = new Set(existing.observations.map(observation => observation.content));
+  const { observations, ...properties } = entity;
+  return observations.some(observation => !contents.has(typeof observation === 'string' ? observation : observation.content))
+    || Object.entries(properties).some(([key, value]) => JSON.stringify(existing[key]) !== JSON.stringify(value));
+}
+
+/**
+ * Upserts entities in batches
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object[]} records - The entity records
+ * @param {string} policy - The conflict policy
+ * @param {number} batchSize - Number of entities written per transaction
+ * @returns {Promise<Object>} - {created: [name], updated: [name], skipped: [{name, reason}]}
+ */
+async function importEntities(memory, records, policy, batchSize) {
+  const report = { created: [], updated: [], skipped: [] };
+  // A name imported twice keeps its last record
+  const entities = [...new Map(records.map(record => [record.name, toEntityInput(record)])).values()];
+
+  for (let i = 0; i < entities.length; i += batchSize) {
+    const batch = entities.slice(i, i + batchSize);
+    const { entities: found } = await memory.openNodes(batch.map(entity => entity.name), { trackAccess: false });
+    const existing = new Map(found.map(entity => [entity.name, entity]));
+
+    const writes = [];
+    for (const entity of batch) {
+      const current = existing.get(entity.name);
+      if (!current) {
+        writes.push(entity);
+        report.created.push(entity.name);
+      } else if (policy === 'skip') {
+        report.skipped.push({ name: entity.name, reason: 'exists' });
+      } else if (policy === 'replace') {
+        writes.push(entity);
+        report.updated.push(entity.name);
+      } else if (!mergeChanges(current, entity)) {
+        report.skipped.push({ name: entity.name, reason: 'unchanged' });
+      } else {
+        // Keeping the current observations in the list stops createEntities from closing them, they
+        // are read with the date-times of the driver and go through the same conversion as imported ones
+        writes.push({ ...entity, observations: [...current.observations.map(toObservationInput), ...entity.observations] });
+        report.updated.push(entity.name);
+      }
+    }
+    if (writes.length > 0) {
+      await memory.createEntities(writes);
+    }
+  }
+  return report;
+}
+
+/**
+ * Upserts relations in batches, after the entities they connect
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object[]} records - The relation records
+ * @param {string} policy - The conflict policy
+ * @param {number} batchSize - Number of relations written per transaction
+ * @returns {Promise<Object>} - {created, updated, skipped: [{from, to, relationType, reason}]}
+ */
+async function importRelations(memory, records, policy, batchSize) {
+  const report = { created: 0, updated: 0, skipped: [] };
+  const skip = (record, reason) => report.skipped.push({ from: record.from, to: record.to, relationType: record.relationType, reason });
+
+  for (let i = 0; i < records.length; i += batchSize) {
+    const batch = records.slice(i, i + batchSize);
+    const resolved = await memory.resolveEntityNames(batch.flatMap(record => [record.from, record.to]));
+    const { entities, relations } = await memory.openNodes([...new Set(resolved.values())], { trackAccess: false });
+    const found = new Map(entities.map(entity => [entity.name, entity]));
+    const current = new Map(relations.map(relation => [`${relation.from}|${relation.relationType}|${relation.to}`, relation]));
+
+    const creates = [];
+    for (const record of batch) {
+      let relationType;
+      try {
+        relationType = toRelationshipType(record.relationType);
+      } catch (error) {
+        skip(record, error.message);
+        continue;
+      }
+      const from = resolved.get(record.from);
+      const to = resolved.get(record.to);
+      const missing = [from, to].filter(name => !found.has(name));
+      if (missing.length > 0) {
+        skip(record, `entity not found: ${missing.join(', ')}`);
+        continue;
+      }
+
+      const existing = current.get(`${from}|${relationType}|${to}`);
+      const properties = record.properties ?? {};
+      if (!existing) {
+        creates.push({ from, to, relationType, properties, validFrom: toTimestamp(record.validFrom), validTo: toTimestamp(record.validTo) });
+        current.set(`${from}|${relationType}|${to}`, { properties });
+      } else if (policy === 'skip') {
+        skip(record, 'exists');
+      } else {
+        const existingProperties = existing.properties ?? {};
+        const removeProperties = policy === 'replace'
+          ? Object.keys(existingProperties).filter(key => !(key in properties))
+          : [];
+        const changed = removeProperties.length > 0
+          || Object.entries(properties).some(([key, value]) => JSON.stringify(existingProperties[key]) !== JSON.stringify(value));
+        if (changed) {
+          await memory.updateRelation({ from, to, relationType }, properties, removeProperties);
+          report.updated++;
+        } else {
+          skip(record, 'unchanged');
+        }
+      }
+    }
+    if (creates.length > 0) {
+      report.created += (await memory.createRelations(creates)).length;
+    }
+  }
+  return report;
+}
+
+/**
+ * Imports JSON Lines into the memory graph, entities first, then relations
+ * @param {Object} memory - The Neo4jMemory instance, scoped to the namespace to import into
+ * @param {string} text - The JSON Lines text
+ * @param {Object} [options]
+ * @param {string} [options.policy='merge'] - merge, replace or skip, for entities and relations that already exist
+ * @param {number} [options.batchSize=100] - Number of entities or relations written per transaction
+ * @returns {Promise<Object>} - The report: {format, policy, entities, relations, ignored, errors}
+ */
+export async function importGraph(memory, text, { policy = 'merge', batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  if (!CONFLICT_POLICIES[policy]) {
+    throw new Error(`Unknown conflict policy '${policy}', expected one of: ${Object.keys(CONFLICT_POLICIES).join(', ')}`);
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+    throw new Error(`batchSize must be an integer between 1 and ${MAX_BATCH_SIZE}`);
+  }
+  const parsed = parseJsonLines(text);
+  const entities = await importEntities(memory, parsed.entities, policy, batchSize);
+  const relations = await importRelations(memory, parsed.relations, policy, batchSize);
+  return {
+    format: parsed.format,
+    namespace: memory.namespace,
+    policy,
+    summary: {
+      entitiesCreated: entities.created.length,
+      entitiesUpdated: entities.updated.length,
+      entitiesSkipped: entities.skipped.length,
+      relationsCreated: relations.created,
+      relationsUpdated: relations.updated,
+      relationsSkipped: relations.skipped.length,
+      ...(parsed.ignored > 0 ? { recordsIgnored: parsed.ignored } : {}),
+      ...(parsed.errors.length > 0 ? { errors: parsed.errors.length } : {})
+    },
+    entities,
+    relations: { skipped: relations.skipped },
+    ...(parsed.errors.length > 0 ? { errors: parsed.errors } : {})
+  };
+}
+
+/**
+ * Main function to handle the import_graph tool request
+ * The JSON Lines are given in the request, reading them from a file is left to the import-graph CLI command.
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The import report
+ */
+export async function handleImportGraph(memory, args) {
+  const { content, policy = 'merge', batchSize = DEFAULT_BATCH_SIZE } = args;
+  if (typeof content !== 'string' || content.trim() === '') {
+    return {
+      success: false,
+      message: 'Missing required parameter: content'
+    };
+  }
+  return {
+    success: true,
+    ...await importGraph(memory, content, { policy, batchSize })
+  };
+}
@@ -0,0 +1,288 @@
+/**
+ * Graph Traversal Tool Implementation
+ *
+ * This module provides the get_neighborhood tool, which returns what is connected to entities
+ * within a number of hops, and the find_paths tool, which returns how two entities are connected.
+ * Only live entities and relations of the memory's namespace are followed: trashed entities,
+ * trashed relations and superseded relations are skipped. The entities returned count as accessed.
+ */
+
+import { int } from 'neo4j-driver';
+import { toRelationshipType } from '../utils/cypher-utils.js';
+
+export const MAX_DEPTH = 5;
+const DEFAULT_MAX_NODES = 50;
+const MAX_NODES = 500;
+const DEFAULT_MAX_PATH_LENGTH = 4;
+const MAX_PATH_LENGTH = 6;
+const MAX_PATHS = 10;
+
+// Relationship pattern templates by direction, relative to the entity the traversal starts from
+const DIRECTIONS = {
+  outgoing: rel => `-${rel}->`,
+  incoming: rel => `<-${rel}-`,
+  both: rel => `-${rel}-`
+};
+
+// Keeps paths on memory entities and live relations, so observations and ontology nodes are not traversed
+export const LIVE_PATH = `all(node IN nodes(path) WHERE node:Memory AND node.deletedAt IS NULL)
+    AND all(r IN relationships(path) WHERE r.deletedAt IS NULL AND r.supersededAt IS NULL)`;
+
+/**
+ * Builds a relationship pattern, of variable length when maxHops is given
+ * The relation types are converted to relationship types, which makes them safe to place in the query
+ * @param {Object} options
+ * @param {string[]} [options.relationTypes] - Only follow relations of these types
+ * @param {number} [options.minHops=1] - Minimum number of relations to follow
+ * @param {number} [options.maxHops] - Maximum number of relations to follow, a single relation when left out
+ * @param {string} [options.direction='both'] - outgoing, incoming or both
+ * @param {string} [options.variable=''] - Variable bound to the relationship
+ * @returns {string} - The pattern, e.g. -[:WORKS_AT|KNOWS*1..2]->
+ */
+export function relationshipPattern({ relationTypes = [], minHops = 1, maxHops, direction = 'both', variable = '' }) {
+  if (!DIRECTIONS[direction]) {
+    throw new Error(`Invalid direction '${direction}', expected one of: ${Object.keys(DIRECTIONS).join(', ')}`);
+  }
+  const types = relationTypes.map(type => `\`${toRelationshipType(type)}\``).join('|');
+  const hops = maxHops === undefined ? '' : `*${minHops}..${maxHops}`;
+  return DIRECTIONS[direction](`[${variable}${types ? `:${types}` : ''}${hops}]`);
+}
+
+/**
+ * Finds the live entities within a number of relation hops, expanding breadth-first
+ * Each hop only follows the relations of the entities first reached by the hop before, so an entity
+ * is expanded once however many paths lead to it.
+ * @param {Object} tx - The transaction to read in
+ * @param {string[]} startNames - Names of the entities to start from, left out of the result
+ * @param {Object} options
+ * @param {number} options.depth - Maximum number of relations to follow
+ * @param {string} [options.direction='both'] - outgoing, incoming or both
+ * @param {string[]} [options.relationTypes] - Only follow relations of these types
+ * @param {string[]|null} [options.entityTypes] - Only reach and pass through entities of these types
+ * @param {number|null} [options.limit] - Stop once this many entities are reached
+ * @returns {Promise<Map>} - Name of each reached entity to its distance, nearest first and by name
+ */
+export async function expandNeighborhood(tx, startNames, { depth, direction = 'both', relationTypes = [], entityTypes = null, limit = null }) {
+  const step = relationshipPattern({ relationTypes, direction, variable: 'r' });
+  const distances = new Map();
+  const visited = [...startNames];
+  let frontier = startNames;
+  for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+    if (limit !== null && distances.size >= limit) {
+      break;
+    }
+    const result = await tx.run(`
+      MATCH (node:Memory {namespace: $namespace})${step}(other:Memory {namespace: $namespace})
+      WHERE node.entityID IN $frontier AND NOT other.entityID IN $visited
+        AND other.deletedAt IS NULL AND r.deletedAt IS NULL AND r.supersededAt IS NULL
+        AND ($entityTypes IS NULL OR other.entityType IN $entityTypes)
+      RETURN DISTINCT other.entityID AS name
+      ORDER BY name
+      ${limit === null ? '' : 'LIMIT $limit'}
+    `, { frontier, visited, entityTypes, limit: limit === null ? null : int(limit - distances.size) });
+    frontier = result.records.map(record => record.get('name'));
+    for (const name of frontier) {
+      distances.set(name, distance);
+      visited.push(name);
+    }
+  }
+  return distances;
+}
+
+/**
+ * Checks that a numeric argument is an integer within bounds
+ * @param {*} value - The argument
+ * @param {string} name - Its name, used in the error message
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} - The value
+ */
+export function checkRange(value, name, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Main function to handle the get_neighborhood tool request
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The reachable entities with their distance, and the relations between them
+ */
+export async function handleGetNeighborhood(memory, args) {
+  const {
+    entityNames,
+    depth = 1,
+    direction = 'both',
+    relationTypes = [],
+    entityTypes = [],
+    maxNodes = DEFAULT_MAX_NODES,
+    summaryOnly = false
+  } = args;
+  if (!Array.isArray(entityNames) || entityNames.length === 0) {
+    return {
+      success: false,
+      message: 'Missing required parameter: entityNames'
+    };
+  }
+  checkRange(depth, 'depth', 1, MAX_DEPTH);
+  checkRange(maxNodes, 'maxNodes', 1, MAX_NODES);
+  const typedRelations = relationTypes.map(toRelationshipType);
+
+  // Names folded into another entity by merge_entities start from that entity
+  const resolved = await memory.resolveEntityNames(entityNames);
+  const startNames = [...new Set(entityNames.map(name => resolved.get(name)))];
+
+  const neighborhood = await memory.runReadTransaction('getNeighborhood', async (tx) => {
+    const starts = await tx.run(`
+      MATCH (start:Memory {namespace: $namespace})
+      WHERE start.entityID IN $startNames AND start.deletedAt IS NULL
+      RETURN collect(start.entityID) AS names
+    `, { startNames });
+    const foundNames = starts.records[0].get('names');
+
+    // An entity type filter applies to every entity on the way, so the neighborhood stays connected
+    // One more than the cap tells whether the neighborhood was cut off
+    const reached = await expandNeighborhood(tx, foundNames, {
+      depth,
+      direction,
+      relationTypes,
+      entityTypes: entityTypes.length > 0 ? entityTypes : null,
+      limit: Math.max(0, maxNodes - foundNames.length) + 1
+    });
+
+    const distances = new Map(foundNames.map(name => [name, 0]));
+    for (const [name, distance] of [...reached].slice(0, Math.max(0, maxNodes - foundNames.length))) {
+      distances.set(name, distance);
+    }
+    const { entities, relations } = await memory.readSubgraph(tx, [...distances.keys()], null, { summaryOnly });
+    return {
+      success: true,
+      entities: entities
+        .map(entity => ({ ...entity, distance: distances.get(entity.name) }))
+        .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name)),
+      relations: typedRelations.length > 0
+        ? relations.filter(relation => typedRelations.includes(relation.relationType))
+        : relations,
+      truncated: foundNames.length + reached.size > maxNodes,
+      ...(foundNames.length < startNames.length
+        ? { notFound: startNames.filter(name => !foundNames.includes(name)) }
+        : {})
+    };
+  });
+  await memory.recordAccess(neighborhood.entities.map(entity => entity.name));
+  return neighborhood;
+}
+
+/**
+ * Renders a path as an ordered chain of entities and relations
+ * Relations keep their own direction, so a chain can go against the arrows when searched both ways
+ * @param {Object} path - A path returned by the Neo4j driver
+ * @returns {Object} - {length, entities: [{name, entityType}], relations: [{from, to, relationType}], text}
+ */
+export function describePath(path) {
+  const entities = [path.start, ...path.segments.map(segment => segment.end)]
+    .map(node => ({ name: node.properties.name, entityType: node.properties.entityType }));
+  const relations = [];
+  let text = entities[0].name;
+  path.segments.forEach((segment, index) => {
+    const forward = segment.relationship.startNodeElementId === segment.start.elementId;
+    const from = entities[forward ? index : index + 1].name;
+    const to = entities[forward ? index + 1 : index].name;
+    relations.push({ from, to, relationType: segment.relationship.type });
+    text += forward
+      ? ` -[${segment.relationship.type}]-> ${entities[index + 1].name}`
+      : ` <-[${segment.relationship.type}]- ${entities[index + 1].name}`;
+  });
+  return { length: path.length, entities, relations, text };
+}
+
+/**
+ * Main function to handle the find_paths tool request
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The shortest paths between the two entities, shortest first
+ */
+export async function handleFindPaths(memory, args) {
+  const {
+    from,
+    to,
+    k = 1,
+    maxLength = DEFAULT_MAX_PATH_LENGTH,
+    direction = 'both',
+    relationTypes = []
+  } = args;
+  if (!from || !to) {
+    return {
+      success: false,
+      message: 'Missing required parameters: from and to'
+    };
+  }
+  checkRange(k, 'k', 1, MAX_PATHS);
+  checkRange(maxLength, 'maxLength', 1, MAX_PATH_LENGTH);
+
+  const resolved = await memory.resolveEntityNames([from, to]);
+  const fromName = resolved.get(from);
+  const toName = resolved.get(to);
+  if (fromName === toName) {
+    return {
+      success: false,
+      message: `'${from}' and '${to}' are the same entity`
+    };
+  }
+
+  // shortestPath is fast for a single path, more paths are looked for one length at a time without
+  // revisiting entities, so longer paths are only enumerated while fewer than k have been found
+  const shortestQuery = `
+    MATCH (from:Memory {namespace: $namespace, entityID: $fromName}), (to:Memory {namespace: $namespace, entityID: $toName})
+    MATCH path = shortestPath((from)${relationshipPattern({ relationTypes, maxHops: maxLength, direction })}(to))
+    WHERE ${LIVE_PATH}
+    RETURN path
+  `;
+  const lengthQuery = length => `
+    MATCH (from:Memory {namespace: $namespace, entityID: $fromName}), (to:Memory {namespace: $namespace, entityID: $toName})
+    MATCH path = (from)${relationshipPattern({ relationTypes, minHops: length, maxHops: length, direction })}(to)
+    WHERE ${LIVE_PATH}
+      AND all(node IN nodes(path) WHERE single(other IN nodes(path) WHERE other = node))
+    RETURN path
+    LIMIT $limit
+  `;
+
+  const found = await memory.runReadTransaction('findPaths', async (tx) => {
+    const endpoints = await tx.run(`
+      MATCH (entity:Memory {namespace: $namespace})
+      WHERE entity.entityID IN $names AND entity.deletedAt IS NULL
+      RETURN collect(entity.entityID) AS names
+    `, { names: [fromName, toName] });
+    const missing = [fromName, toName].filter(name => !endpoints.records[0].get('names').includes(name));
+    if (missing.length > 0) {
+      return {
+        success: false,
+        message: `Entity not found: ${missing.join(', ')}`
+      };
+    }
+
+    const paths = [];
+    if (k === 1) {
+      const result = await tx.run(shortestQuery, { fromName, toName });
+      paths.push(...result.records.map(record => describePath(record.get('path'))));
+    } else {
+      for (let length = 1; length <= maxLength && paths.length < k; length++) {
+        const result = await tx.run(lengthQuery(length), { fromName, toName, limit: int(k - paths.length) });
+        paths.push(...result.records.map(record => describePath(record.get('path'))));
+      }
+    }
+    return {
+      success: true,
+      from: fromName,
+      to: toName,
+      paths,
+      ...(paths.length === 0 ? { message: `No path of at most ${maxLength} relations connects '${fromName}' to '${toName}'` } : {})
+    };
+  });
+  if (found.success) {
+    await memory.recordAccess(found.paths.flatMap(path => path.entities.map(entity => entity.name)));
+  }
+  return found;
+}
@@ -102,6 +102,24 @@ function extractLLMResponse(response) {
   }
 }
 
+/**
+ * Gets the JSON value of an LLM response, parsing a JSON code block if the response has one
+ * @param {Object} response - {text, json?} as returned by callLLM
+ * @returns {*} - The parsed JSON value
+ * @throws {Error} - If the response holds no valid JSON
+ */
+export function parseJsonResponse(response) {
+  if (response.json !== undefined) {
+    return response.json;
+  }
+  const match = response.text?.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  try {
+    return JSON.parse(match ? match[1] : response.text);
+  } catch {
+    throw new Error('The LLM did not return JSON');
+  }
+}
+
 /**
  * Registers additional models for supported providers
  * @param {string} provider - The provider name
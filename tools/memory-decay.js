@@ -0,0 +1,156 @@
+/**
+ * Memory Decay Tool Implementation
+ *
+ * This module provides the prune_memories tool and CLI command. Neo4jMemory counts the reads of
+ * each entity (accessCount, lastAccessedAt); from these, the entity's live relations and how long
+ * it has gone unused, an importance score is computed:
+ *
+ *   importance = (1 + ln(1 + accessCount) + 0.5 * ln(1 + relations)) * 0.5 ^ (idleDays / halfLifeDays)
+ *
+ * An entity that is never read has an importance of 1 when last used and loses half of it every
+ * halfLifeDays. prune_memories lists, or moves to the trash, the entities unused for at least
+ * minIdleDays whose importance has fallen to maxImportance or below.
+ */
+
+import { int } from 'neo4j-driver';
+import { toPlainValue } from '../utils/neo4j-utils.js';
+
+// Decay policy used when neither the request nor the environment sets one
+export const DEFAULT_DECAY_POLICY = {
+  halfLifeDays: 30,
+  minIdleDays: 90,
+  maxImportance: 0.25
+};
+
+// Environment variables overriding the default decay policy
+const POLICY_VARIABLES = {
+  halfLifeDays: 'MEMORY_DECAY_HALF_LIFE_DAYS',
+  minIdleDays: 'MEMORY_PRUNE_MIN_IDLE_DAYS',
+  maxImportance: 'MEMORY_PRUNE_MAX_IMPORTANCE'
+};
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Builds the decay policy from the request, the environment and the defaults, in that order
+ * @param {Object} [overrides] - {halfLifeDays, minIdleDays, maxImportance} given with the request
+ * @param {Object} [env=process.env] - The environment variables
+ * @returns {Object} - {halfLifeDays, minIdleDays, maxImportance}
+ * @throws {Error} - If a setting is not a positive number (minIdleDays may be 0)
+ */
+export function getDecayPolicy(overrides = {}, env = process.env) {
+  const policy = {};
+  for (const [key, variable] of Object.entries(POLICY_VARIABLES)) {
+    const value = overrides[key] ?? (env[variable] ? Number(env[variable]) : DEFAULT_DECAY_POLICY[key]);
+    const min = key === 'minIdleDays' ? 0 : Number.MIN_VALUE;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+      throw new Error(`${key} must be a ${min === 0 ? 'non-negative' : 'positive'} number, got ${JSON.stringify(overrides[key] ?? env[variable])}`);
+    }
+    policy[key] = value;
+  }
+  return policy;
+}
+
+/**
+ * Cypher computing lastUsedAt, relations, idleDays and importance for `entity`
+ * Entities without any timestamp have no idleDays or importance, so they are never pruned.
+ * Expects the $halfLifeDays parameter.
+ */
+export const IMPORTANCE = `
+    WITH entity,
+         coalesce(entity.lastAccessedAt, entity.updatedAt, entity.createdAt) AS lastUsedAt,
+         COUNT { (entity)-[r]-(:Memory) WHERE r.deletedAt IS NULL AND r.supersededAt IS NULL } AS relations
+    WITH entity, lastUsedAt, relations,
+         duration.inSeconds(lastUsedAt, datetime()).seconds / 86400.0 AS idleDays
+    WITH entity, lastUsedAt, relations, idleDays,
+         (1 + log(1 + coalesce(entity.accessCount, 0)) + 0.5 * log(1 + relations))
+           * 0.5 ^ (idleDays / $halfLifeDays) AS importance`;
+
+/**
+ * Finds the entities the decay policy would prune, least important first
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} policy - {halfLifeDays, minIdleDays, maxImportance}
+ * @param {Object} [options]
+ * @param {string[]} [options.entityTypes] - Only consider entities of these types
+ * @param {number} [options.limit=100] - Maximum number of entities to return
+ * @returns {Promise<Object>} - {candidates: [{name, entityType, importance, accessCount, lastUsedAt, idleDays, relations}], hasMore}
+ */
+export async function findPruneCandidates(memory, policy, { entityTypes = [], limit = DEFAULT_LIMIT } = {}) {
+  const result = await memory.runReadTransaction('findPruneCandidates', (tx) => tx.run(`
+    MATCH (entity:Memory {namespace: $namespace})
+    WHERE entity.deletedAt IS NULL
+      AND ($entityTypes IS NULL OR entity.entityType IN $entityTypes)
+    ${IMPORTANCE}
+    WHERE idleDays >= $minIdleDays AND importance <= $maxImportance
+    RETURN entity.entityID AS name, entity.entityType AS entityType, importance,
+           coalesce(entity.accessCount, 0) AS accessCount, lastUsedAt, idleDays, relations
+    ORDER BY importance, name
+    LIMIT $limit
+  `, {
+    ...policy,
+    entityTypes: entityTypes.length > 0 ? entityTypes : null,
+    // One more than asked for tells whether more entities qualify
+    limit: int(limit + 1)
+  }));
+  return {
+    candidates: result.records.slice(0, limit).map(record => ({
+      name: record.get('name'),
+      entityType: record.get('entityType'),
+      importance: Math.round(record.get('importance') * 1000) / 1000,
+      accessCount: toPlainValue(record.get('accessCount')),
+      lastUsedAt: toPlainValue(record.get('lastUsedAt')),
+      idleDays: Math.floor(record.get('idleDays')),
+      relations: toPlainValue(record.get('relations'))
+    })),
+    hasMore: result.records.length > limit
+  };
+}
+
+/**
+ * Lists the entities the decay policy would prune or, unless dryRun, moves them to the trash
+ * Pruned entities can be brought back with restore_entities until purge_trash removes them.
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=true] - Only list the entities
+ * @param {Object} [options.policy] - {halfLifeDays, minIdleDays, maxImportance}, overriding the configured policy
+ * @param {string[]} [options.entityTypes] - Only consider entities of these types
+ * @param {number} [options.limit=100] - Maximum number of entities to prune at once
+ * @returns {Promise<Object>} - {dryRun, policy, candidates, hasMore, pruned?}
+ */
+export async function pruneMemories(memory, { dryRun = true, policy = {}, entityTypes = [], limit = DEFAULT_LIMIT } = {}) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  const decayPolicy = getDecayPolicy(policy);
+  const { candidates, hasMore } = await findPruneCandidates(memory, decayPolicy, { entityTypes, limit });
+  const report = { dryRun, policy: decayPolicy, candidates, hasMore };
+  if (!dryRun && candidates.length > 0) {
+    const { deletedCount } = await memory.deleteEntities(candidates.map(candidate => candidate.name), { permanent: false });
+    report.pruned = deletedCount;
+  }
+  return report;
+}
+
+/**
+ * Main function to handle the prune_memories tool request
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The entities listed or pruned, least important first
+ */
+export async function handlePruneMemories(memory, args) {
+  const { dryRun = true, halfLifeDays, minIdleDays, maxImportance, entityTypes = [], limit = DEFAULT_LIMIT } = args;
+  const report = await pruneMemories(memory, {
+    dryRun,
+    policy: { halfLifeDays, minIdleDays, maxImportance },
+    entityTypes,
+    limit
+  });
+  return {
+    success: true,
+    message: dryRun
+      ? `${report.candidates.length}${report.hasMore ? '+' : ''} entities would be moved to the trash`
+      : `Moved ${report.pruned ?? 0} entities to the trash`,
+    ...report
+  };
+}
@@ -0,0 +1,345 @@
+/**
+ * Ontology Class Tool Implementation
+ *
+ * This module provides the classify_entities and find_instances tools, which connect the memory
+ * graph to the ontology graph built by create_base_ontology. A :Memory entity is linked to the
+ * (OE): classes it is an instance of by INSTANCE_OF relationships, found by matching its entityType
+ * with the class names or, for the entities left over, by asking callLLM. Classes form a hierarchy
+ * through PARENT_OF (and CHILD_OF) relationships, which find_instances follows down to subclasses.
+ */
+
+import { int } from 'neo4j-driver';
+import { checkSchema, validate } from '../utils/json-schema.js';
+import { normalizeText } from '../utils/text-similarity.js';
+import { MAX_HIERARCHY_DEPTH, toClassName, toOntologySubject } from '../utils/ontology-utils.js';
+
+export const CLASSIFICATION_METHODS = ['exact', 'llm'];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const DEFAULT_MIN_CONFIDENCE = 0.7;
+// Entities sent to the LLM in one request
+const LLM_BATCH_SIZE = 25;
+
+// What the LLM must return
+const CLASSIFICATION_SCHEMA = checkSchema({
+  type: 'object',
+  required: ['classifications'],
+  properties: {
+    classifications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['entity', 'classId', 'confidence'],
+        properties: {
+          entity: { type: 'string' },
+          classId: { type: ['integer', 'null'] },
+          confidence: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    }
+  }
+});
+
+/**
+ * Reads the ontology classes, with the subjects of the Base Ontologies they belong to
+ * @param {Object} tx - The transaction to read in
+ * @param {string} [subject] - Only read the classes of this Base Ontology
+ * @returns {Promise<Array>} - [{id, name, description, ontologies}], ordered by name
+ */
+export async function readClasses(tx, subject = null) {
+  const result = await tx.run(`
+    MATCH (class:OntologyEntity)
+    OPTIONAL MATCH (ontology:BaseOntology)-[:HAS_ENTITY]->(class)
+    WITH class, collect(ontology.subject) AS ontologies
+    WHERE $subject IS NULL OR $subject IN ontologies
+    RETURN elementId(class) AS id, class.name AS name, class.description AS description, ontologies
+    ORDER BY name
+  `, { subject: subject === null ? null : toOntologySubject(subject) });
+  return result.records.map(record => ({
+    id: record.get('id'),
+    name: toClassName(record.get('name')),
+    description: record.get('description') ?? null,
+    ontologies: record.get('ontologies')
+  }));
+}
+
+/**
+ * Asks the LLM which class each entity is an instance of
+ * @param {Array} entities - [{name, entityType, summary, observations}]
+ * @param {Array} classes - The classes to choose from, as returned by readClasses
+ * @param {number} minConfidence - Smallest confidence of a classification that is kept
+ * @returns {Promise<Map>} - Entity name to {class, confidence}
+ */
+async function classifyWithLLM(entities, classes, minConfidence) {
+  const { callLLM, parseJsonResponse } = await import('./llm.js');
+  const choices = classes.map((c, classId) => ({ classId, name: c.name, description: c.description, ontologies: c.ontologies }));
+  const found = new Map();
+  for (let i = 0; i < entities.length; i += LLM_BATCH_SIZE) {
+    const batch = entities.slice(i, i + LLM_BATCH_SIZE);
+    const prompt = `
+      You are classifying the entities of a knowledge graph memory into the classes of an ontology.
+      For each entity in the context, choose the one class it is an instance of, judging by its name,
+      type, summary and observations. Use null when no class fits.
+
+      Return only a JSON object, without markdown or commentary, with exactly this structure:
+      {
+        "classifications": [
+          { "entity": "<entity name>", "classId": <classId of the class, or null>, "confidence": <number between 0 and 1> }
+        ]
+      }
+    `;
+    const response = await callLLM(prompt, { classes: choices, entities: batch });
+    const answer = parseJsonResponse(response);
+    const errors = validate(answer, CLASSIFICATION_SCHEMA);
+    if (errors.length > 0) {
+      throw new Error(`The LLM returned an invalid classification: ${errors.slice(0, 5).join('; ')}`);
+    }
+    for (const { entity, classId, confidence } of answer.classifications) {
+      if (classId === null || !classes[classId] || confidence < minConfidence || !batch.some(e => e.name === entity)) {
+        continue;
+      }
+      found.set(entity, { class: classes[classId], confidence });
+    }
+  }
+  return found;
+}
+
+/**
+ * Links entities to the ontology classes they are instances of with INSTANCE_OF relationships
+ * An entity matches every class named like its entityType, ignoring case and punctuation. With the
+ * llm method the entities without such a class are then classified by callLLM.
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} [options]
+ * @param {string[]} [options.entityNames] - The entities to classify, defaults to every entity not linked to a class yet
+ * @param {string} [options.ontology] - Only use the classes of this Base Ontology
+ * @param {string} [options.method='exact'] - exact, or llm to classify the unmatched entities with the LLM
+ * @param {number} [options.minConfidence=0.7] - Smallest confidence of an LLM classification that is kept
+ * @param {boolean} [options.reclassify=false] - Also classify entities that are linked to classes, replacing their links
+ * @param {boolean} [options.dryRun=false] - Only return the classifications
+ * @param {number} [options.limit=100] - Maximum number of entities to classify at once
+ * @returns {Promise<Object>} - {dryRun, classified: [{entityName, entityType, classes}], unclassified, skipped?, hasMore, linked?}
+ */
+export async function classifyEntities(memory, {
+  entityNames = null,
+  ontology = null,
+  method = 'exact',
+  minConfidence = DEFAULT_MIN_CONFIDENCE,
+  reclassify = false,
+  dryRun = false,
+  limit = DEFAULT_LIMIT
+} = {}) {
+  if (!CLASSIFICATION_METHODS.includes(method)) {
+    throw new Error(`Unknown classification method '${method}', expected one of: ${CLASSIFICATION_METHODS.join(', ')}`);
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  if (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1) {
+    throw new Error(`minConfidence must be a number between 0 and 1, got ${JSON.stringify(minConfidence)}`);
+  }
+  const names = entityNames === null
+    ? null
+    : [...new Set((await memory.resolveEntityNames(entityNames)).values())];
+
+  const { classes, entities } = await memory.runReadTransaction('classifyEntities.read', async (tx) => {
+    const entitiesResult = await tx.run(`
+      MATCH (entity:Memory {namespace: $namespace})
+      WHERE entity.deletedAt IS NULL
+        AND ($names IS NULL OR entity.entityID IN $names)
+        AND ($reclassify OR NOT EXISTS { (entity)-[:INSTANCE_OF]->(:OntologyEntity) })
+      CALL {
+        WITH entity
+        OPTIONAL MATCH (entity)-[:HAS_OBSERVATION]->(observation:Observation)
+        WHERE observation.supersededAt IS NULL
+        WITH observation ORDER BY observation.createdAt DESC
+        RETURN collect(observation.content)[..5] AS observations
+      }
+      RETURN entity.entityID AS name, entity.entityType AS entityType, entity.summary AS summary, observations
+      ORDER BY name
+      LIMIT $limit
+    `, { names, reclassify, limit: int(limit + 1) });
+    return {
+      classes: await readClasses(tx, ontology),
+      entities: entitiesResult.records.map(record => ({
+        name: record.get('name'),
+        entityType: record.get('entityType'),
+        summary: record.get('summary') ?? null,
+        observations: record.get('observations')
+      }))
+    };
+  });
+  if (classes.length === 0) {
+    throw new Error(ontology ? `Base Ontology '${ontology}' has no classes` : 'There are no ontology classes, create a Base Ontology first');
+  }
+  const hasMore = entities.length > limit;
+  const candidates = entities.slice(0, limit);
+
+  const classesByName = new Map();
+  for (const c of classes) {
+    const key = normalizeText(c.name);
+    classesByName.set(key, [...(classesByName.get(key) ?? []), c]);
+  }
+  const links = [];
+  const unmatched = [];
+  for (const entity of candidates) {
+    const matches = classesByName.get(normalizeText(entity.entityType ?? '')) ?? [];
+    links.push(...matches.map(c => ({ entity, class: c, method: 'exact', confidence: null })));
+    if (matches.length === 0) {
+      unmatched.push(entity);
+    }
+  }
+  if (method === 'llm' && unmatched.length > 0) {
+    const found = await classifyWithLLM(unmatched, classes, minConfidence);
+    for (const entity of unmatched) {
+      if (found.has(entity.name)) {
+        links.push({ entity, ...found.get(entity.name), method: 'llm' });
+      }
+    }
+  }
+
+  const classified = candidates
+    .map(entity => ({
+      entityName: entity.name,
+      entityType: entity.entityType,
+      classes: links.filter(link => link.entity === entity).map(link => ({
+        name: link.class.name,
+        ontologies: link.class.ontologies,
+        method: link.method,
+        ...(link.confidence !== null ? { confidence: link.confidence } : {})
+      }))
+    }))
+    .filter(entity => entity.classes.length > 0);
+  const report = {
+    dryRun,
+    classified,
+    unclassified: candidates.filter(entity => !links.some(link => link.entity === entity)).map(entity => entity.name),
+    // Named entities that don't exist, are in the trash or, without reclassify, already have classes
+    ...(names ? { skipped: names.filter(name => !entities.some(entity => entity.name === name)) } : {}),
+    hasMore
+  };
+  if (dryRun || links.length === 0) {
+    return report;
+  }
+
+  report.linked = await memory.runWriteTransaction('classifyEntities.write', async (tx) => {
+    if (reclassify) {
+      await tx.run(`
+        MATCH (entity:Memory)-[link:INSTANCE_OF]->(:OntologyEntity)
+        WHERE entity.namespace = $namespace AND entity.entityID IN $entityNames
+        DELETE link
+      `, { entityNames: classified.map(entity => entity.entityName) });
+    }
+    const result = await tx.run(`
+      UNWIND $links AS link
+      MATCH (entity:Memory {namespace: $namespace, entityID: link.entity})
+      MATCH (class:OntologyEntity)
+      WHERE elementId(class) = link.classId
+      MERGE (entity)-[r:INSTANCE_OF]->(class)
+      ON CREATE SET r.createdAt = datetime({timezone: 'UTC'}), r.method = link.method, r.confidence = link.confidence
+      RETURN count(r) AS linked
+    `, {
+      links: links.map(link => ({
+        entity: link.entity.name,
+        classId: link.class.id,
+        method: link.method,
+        confidence: link.confidence
+      }))
+    });
+    return result.records[0].get('linked').toNumber();
+  });
+  return report;
+}
+
+/**
+ * Finds the entities that are instances of an ontology class, or of its subclasses
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {string} className - The class, with or without the "(OE): " prefix
+ * @param {Object} [options]
+ * @param {string} [options.ontology] - Only use the class of this Base Ontology
+ * @param {boolean} [options.includeSubclasses=true] - Also find the instances of the subclasses, following PARENT_OF and CHILD_OF
+ * @param {number} [options.limit=100] - Maximum number of entities to return
+ * @returns {Promise<Object>} - {instances: [{name, entityType, classes}], hasMore}
+ */
+export async function findInstances(memory, className, { ontology = null, includeSubclasses = true, limit = DEFAULT_LIMIT } = {}) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  const name = toClassName(className);
+  const result = await memory.runReadTransaction('findInstances', (tx) => tx.run(`
+    MATCH (class:OntologyEntity)
+    WHERE class.name IN [$name, '(OE): ' + $name]
+      AND ($ontology IS NULL OR EXISTS { (:BaseOntology {subject: $ontology})-[:HAS_ENTITY]->(class) })
+    CALL {
+      WITH class
+      MATCH (class)-[:PARENT_OF*0..${MAX_HIERARCHY_DEPTH}]->(subclass:OntologyEntity)
+      WHERE $includeSubclasses OR subclass = class
+      RETURN subclass
+      UNION
+      WITH class
+      MATCH (class)<-[:CHILD_OF*1..${MAX_HIERARCHY_DEPTH}]-(subclass:OntologyEntity)
+      WHERE $includeSubclasses
+      RETURN subclass
+    }
+    WITH DISTINCT subclass
+    MATCH (entity:Memory {namespace: $namespace})-[:INSTANCE_OF]->(subclass)
+    WHERE entity.deletedAt IS NULL
+    WITH entity, collect(DISTINCT subclass.name) AS classes
+    RETURN entity.entityID AS name, entity.entityType AS entityType, classes
+    ORDER BY name
+    LIMIT $limit
+  `, {
+    name,
+    ontology: ontology === null ? null : toOntologySubject(ontology),
+    includeSubclasses,
+    limit: int(limit + 1)
+  }));
+  return {
+    instances: result.records.slice(0, limit).map(record => ({
+      name: record.get('name'),
+      entityType: record.get('entityType'),
+      classes: record.get('classes').map(toClassName)
+    })),
+    hasMore: result.records.length > limit
+  };
+}
+
+/**
+ * Main function to handle the classify_entities tool request
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The classifications and how many links were written
+ */
+export async function handleClassifyEntities(memory, args) {
+  const { entityNames = null, ontology = null, method = 'exact', minConfidence, reclassify = false, dryRun = false, limit = DEFAULT_LIMIT } = args;
+  const report = await classifyEntities(memory, { entityNames, ontology, method, minConfidence, reclassify, dryRun, limit });
+  return {
+    success: true,
+    message: dryRun
+      ? `${report.classified.length} of ${report.classified.length + report.unclassified.length} entities would be linked to classes`
+      : `Linked ${report.classified.length} of ${report.classified.length + report.unclassified.length} entities to classes`,
+    ...report
+  };
+}
+
+/**
+ * Main function to handle the find_instances tool request
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The instances of the class
+ */
+export async function handleFindInstances(memory, args) {
+  const { className, ontology = null, includeSubclasses = true, limit = DEFAULT_LIMIT } = args;
+  if (!className) {
+    return {
+      success: false,
+      message: 'Missing required parameter: className'
+    };
+  }
+  const result = await findInstances(memory, className, { ontology, includeSubclasses, limit });
+  return {
+    success: true,
+    message: `Found ${result.instances.length}${result.hasMore ? '+' : ''} instances of ${toClassName(className)}`,
+    ...result
+  };
+}
@@ -0,0 +1,489 @@
+/**
+ * Snapshot Tool Implementation
+ *
+ * This module provides the create_snapshot, list_snapshots and restore_snapshot tools. A snapshot
+ * is a restore point of the memory graph of a namespace: every entity, including trashed ones, with
+ * all of its observations and relations, superseded ones included, and optionally the BaseOntology
+ * graph. Snapshots are kept in the database or in a local directory, chosen with MEMORY_SNAPSHOT_STORE.
+ * Embeddings are not kept, restored entities are embedded again.
+ */
+
+import { mkdir, readdir, readFile, writeFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import { toPlainProperties } from '../utils/neo4j-utils.js';
+import { DATETIME_PROPERTIES, readOntology } from './graph-export.js';
+
+// Version of the snapshot layout, version 2 keys links to ontology nodes by subject and class name
+const SNAPSHOT_VERSION = 2;
+
+const DEFAULT_SNAPSHOT_DIRECTORY = 'snapshots';
+const MAX_NAME_LENGTH = 100;
+
+// Properties holding embedding vectors, left out of snapshots
+const EMBEDDING_PROPERTIES = ['embedding', 'embeddingModel'];
+
+/**
+ * Removes the embedding properties from plain properties
+ * @param {Object} properties - Properties read from the driver
+ * @returns {Object} - Plain properties without embeddings
+ */
+function withoutEmbeddings(properties) {
+  const plain = toPlainProperties(properties);
+  EMBEDDING_PROPERTIES.forEach(key => delete plain[key]);
+  return plain;
+}
+
+/**
+ * Writes a label or relationship type as a quoted Cypher identifier
+ * @param {string} name - The label or type read from the database
+ * @returns {string} - The quoted identifier
+ */
+function quoteName(name) {
+  return `\`${name.replace(/`/g, '``')}\``;
+}
+
+/**
+ * Builds the SET items turning the timestamp properties of a node or relationship back into date-times
+ * @param {string} variable - The node or relationship variable
+ * @returns {string} - The SET items
+ */
+function restoreDatetimes(variable) {
+  return DATETIME_PROPERTIES.map(key => `${variable}.${key} = datetime(${variable}.${key})`).join(', ');
+}
+
+/**
+ * Groups items by a key
+ * @param {Object[]} items - The items
+ * @param {Function} keyOf - Returns the key of an item
+ * @returns {Map} - Key to the items with that key
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Checks a snapshot name
+ * @param {string} name - The name
+ * @returns {string} - The name
+ */
+function checkName(name) {
+  if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+    throw new Error(`Snapshot name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return name;
+}
+
+/**
+ * Reads the memory graph of the namespace, in one read transaction so the snapshot is consistent
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} options
+ * @param {string} options.name - The snapshot name
+ * @param {boolean} [options.includeOntology=false] - Also capture the BaseOntology graph
+ * @returns {Promise<Object>} - The snapshot
+ */
+export async function captureSnapshot(memory, { name, includeOntology = false }) {
+  return memory.runReadTransaction('captureSnapshot', async (tx) => {
+    const entities = await tx.run(`
+      MATCH (entity:Memory {namespace: $namespace})
+      CALL {
+        WITH entity
+        OPTIONAL MATCH (entity)-[:HAS_OBSERVATION]->(observation:Observation)
+        RETURN collect(properties(observation)) AS observations
+      }
+      RETURN properties(entity) AS properties, observations
+      ORDER BY entity.entityID
+    `);
+    const relations = await tx.run(`
+      MATCH (from:Memory {namespace: $namespace})-[r]->(to:Memory {namespace: $namespace})
+      RETURN from.entityID AS from, to.entityID AS to, type(r) AS type, properties(r) AS properties
+    `);
+    // Relationships between the entities and ontology nodes, which are kept by the subject of their
+    // Base Ontology and their class name because element ids are reused once a node is deleted
+    const links = await tx.run(`
+      MATCH (entity:Memory {namespace: $namespace})-[r]-(node)
+      WHERE node:OntologyEntity OR node:BaseOntology
+      OPTIONAL MATCH (ontology:BaseOntology)-[:HAS_ENTITY]->(node)
+      WITH entity, r, node, min(ontology.subject) AS classOntology
+      RETURN entity.entityID AS entity, type(r) AS type, startNode(r) = entity AS outgoing, properties(r) AS properties,
+             CASE WHEN node:OntologyEntity THEN classOntology ELSE node.subject END AS ontology,
+             CASE WHEN node:OntologyEntity THEN node.name END AS class
+    `);
+
+    return {
+      version: SNAPSHOT_VERSION,
+      name,
+      namespace: memory.namespace,
+      createdAt: new Date().toISOString(),
+      includeOntology,
+      entities: entities.records.map(record => ({
+        properties: withoutEmbeddings(record.get('properties')),
+        observations: record.get('observations').map(withoutEmbeddings)
+      })),
+      relations: relations.records.map(record => ({
+        from: record.get('from'),
+        to: record.get('to'),
+        type: record.get('type'),
+        properties: toPlainProperties(record.get('properties'))
+      })),
+      links: links.records.map(record => ({
+        entity: record.get('entity'),
+        ontology: record.get('ontology'),
+        class: record.get('class'),
+        type: record.get('type'),
+        outgoing: record.get('outgoing'),
+        properties: toPlainProperties(record.get('properties'))
+      })),
+      ontology: includeOntology ? await readOntology(tx) : null
+    };
+  });
+}
+
+/**
+ * Reads the links of a snapshot keyed by ontology subject and class name
+ * Version 1 snapshots kept the element ids of the linked nodes instead, their keys are read from the
+ * ontology graph of the snapshot, and links to nodes it doesn't hold are left out.
+ * @param {Object} snapshot - The snapshot
+ * @returns {Object[]} - [{entity, ontology, class, type, outgoing, properties}]
+ */
+function snapshotLinks(snapshot) {
+  if (snapshot.version >= 2) {
+    return snapshot.links;
+  }
+  const nodes = new Map((snapshot.ontology?.nodes ?? []).map(node => [node.id, node]));
+  return snapshot.links.flatMap(({ node: id, ...link }) => {
+    const node = nodes.get(id);
+    if (node?.labels.includes('OntologyEntity')) {
+      const owner = snapshot.ontology.relationships
+        .filter(relationship => relationship.type === 'HAS_ENTITY' && relationship.to === id)
+        .map(relationship => nodes.get(relationship.from)?.properties.subject)
+        .filter(Boolean)
+        .sort()[0];
+      return [{ ...link, ontology: owner ?? null, class: node.properties.name }];
+    }
+    if (node?.labels.includes('BaseOntology')) {
+      return [{ ...link, ontology: node.properties.subject, class: null }];
+    }
+    return [];
+  });
+}
+
+/**
+ * Replaces the memory graph of the namespace, and the ontology graph if the snapshot has it, with the snapshot
+ * Runs as one exclusive write transaction: it fails without changing anything, and refuses to start
+ * while other writes of this server are in flight. The restore is recorded in the history of every
+ * entity it changes.
+ * The ontology graph is shared by all namespaces, so it is only replaced while no entity of another
+ * namespace is linked to it.
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} snapshot - The snapshot
+ * @param {Object} [options]
+ * @param {boolean} [options.includeOntology=true] - Also restore the ontology graph when the snapshot has it
+ * @returns {Promise<Object>} - {entities, relations, links, ontologyNodes?}
+ * @throws {Error} - If the ontology graph would be replaced while other namespaces are linked to it
+ */
+export async function restoreSnapshot(memory, snapshot, { includeOntology = true } = {}) {
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot ${snapshot.name} has version ${snapshot.version}, this server restores up to version ${SNAPSHOT_VERSION}`);
+  }
+  const snapshotNames = snapshot.entities.map(entity => entity.properties.entityID);
+  const affectedNames = async (tx) => {
+    const result = await tx.run(`
+      MATCH (entity:Memory {namespace: $namespace})
+      RETURN collect(entity.entityID) AS names
+    `);
+    return [...new Set([...result.records[0].get('names'), ...snapshotNames])];
+  };
+
+  const restored = await memory.runTrackedWrite('restoreSnapshot', 'restore_snapshot', affectedNames, async (tx) => {
+    await tx.run(`
+      MATCH (entity:Memory {namespace: $namespace})
+      OPTIONAL MATCH (entity)-[:HAS_OBSERVATION]->(observation:Observation)
+      DETACH DELETE observation, entity
+    `);
+
+    // Ontology nodes are created again, so the relationships between them are re-pointed to the new nodes
+    const nodeIds = new Map();
+    const ontology = includeOntology ? snapshot.ontology : null;
+    if (ontology) {
+      const current = await readOntology(tx);
+      const shared = await tx.run(`
+        UNWIND $ids AS id
+        MATCH (node)--(entity:Memory)
+        WHERE elementId(node) = id AND entity.namespace <> $namespace
+        RETURN collect(DISTINCT entity.namespace) AS namespaces
+      `, { ids: current.nodes.map(node => node.id) });
+      const namespaces = shared.records[0].get('namespaces');
+      if (namespaces.length > 0) {
+        throw new Error(`The ontology graph is linked to entities of namespaces ${namespaces.join(', ')}, restoring it would remove those links. Restore the snapshot without its ontology instead.`);
+      }
+      await tx.run(`
+        UNWIND $ids AS id
+        MATCH (node)
+        WHERE elementId(node) = id
+        DETACH DELETE node
+      `, { ids: current.nodes.map(node => node.id) });
+      for (const [labels, nodes] of groupBy(ontology.nodes, node => node.labels.map(quoteName).join(':'))) {
+        const result = await tx.run(`
+          UNWIND $nodes AS row
+          CREATE (node${labels ? `:${labels}` : ''})
+          SET node = row.properties
+          RETURN row.id AS snapshotId, elementId(node) AS id
+        `, { nodes });
+        result.records.forEach(record => nodeIds.set(record.get('snapshotId'), record.get('id')));
+      }
+      for (const [type, relationships] of groupBy(ontology.relationships, relationship => relationship.type)) {
+        await tx.run(`
+          UNWIND $relationships AS row
+          MATCH (from) WHERE elementId(from) = row.from
+          MATCH (to) WHERE elementId(to) = row.to
+          CREATE (from)-[r:${quoteName(type)}]->(to)
+          SET r = row.properties
+        `, {
+          relationships: relationships.map(relationship => ({
+            ...relationship,
+            from: nodeIds.get(relationship.from),
+            to: nodeIds.get(relationship.to)
+          }))
+        });
+      }
+    }
+
+    await tx.run(`
+      UNWIND $entities AS row
+      CREATE (entity:Memory)
+      SET entity = row.properties
+      SET entity.namespace = $namespace, ${restoreDatetimes('entity')}
+      WITH entity, row
+      UNWIND row.observations AS properties
+      CREATE (entity)-[:HAS_OBSERVATION]->(observation:Observation)
+      SET observation = properties
+      SET ${restoreDatetimes('observation')}
+    `, { entities: snapshot.entities });
+
+    for (const [type, relations] of groupBy(snapshot.relations, relation => relation.type)) {
+      await tx.run(`
+        UNWIND $relations AS row
+        MATCH (from:Memory {namespace: $namespace, entityID: row.from}), (to:Memory {namespace: $namespace, entityID: row.to})
+        CREATE (from)-[r:${quoteName(type)}]->(to)
+        SET r = row.properties
+        SET ${restoreDatetimes('r')}
+      `, { relations });
+    }
+
+    // Links to ontology nodes that no longer exist are dropped
+    let links = 0;
+    for (const [key, group] of groupBy(snapshotLinks(snapshot), link => `${link.outgoing ? '>' : '<'}${link.type}`)) {
+      const pattern = key.startsWith('>')
+        ? `(entity)-[r:${quoteName(group[0].type)}]->(node)`
+        : `(entity)<-[r:${quoteName(group[0].type)}]-(node)`;
+      const result = await tx.run(`
+        UNWIND $links AS row
+        MATCH (entity:Memory {namespace: $namespace, entityID: row.entity})
+        CALL {
+          WITH row
+          OPTIONAL MATCH (class:OntologyEntity {name: row.class})
+          WHERE row.ontology IS NULL OR EXISTS { (:BaseOntology {subject: row.ontology})-[:HAS_ENTITY]->(class) }
+          OPTIONAL MATCH (ontology:BaseOntology {subject: row.ontology})
+          WHERE row.class IS NULL
+          RETURN coalesce(class, ontology) AS node
+          LIMIT 1
+        }
+        WITH entity, row, node
+        WHERE node IS NOT NULL
+        CREATE ${pattern}
+        SET r = row.properties
+        RETURN count(r) AS created
+      `, { links: group });
+      links += result.records[0].get('created').toNumber();
+    }
+
+    return {
+      entities: snapshot.entities.length,
+      relations: snapshot.relations.length,
+      links,
+      ...(ontology ? { ontologyNodes: ontology.nodes.length } : {})
+    };
+  }, { snapshot: snapshot.name, snapshotCreatedAt: snapshot.createdAt }, { exclusive: true });
+
+  await memory.refreshEmbeddings(snapshotNames);
+  return restored;
+}
+
+/**
+ * Describes a snapshot without its data
+ * @param {Object} snapshot - The snapshot, or its stored summary
+ * @returns {Object} - {name, namespace, createdAt, includeOntology, entities, relations}
+ */
+function summarize(snapshot) {
+  return {
+    name: snapshot.name,
+    namespace: snapshot.namespace,
+    createdAt: snapshot.createdAt,
+    includeOntology: snapshot.includeOntology,
+    entities: Array.isArray(snapshot.entities) ? snapshot.entities.length : snapshot.entities,
+    relations: Array.isArray(snapshot.relations) ? snapshot.relations.length : snapshot.relations
+  };
+}
+
+// Snapshots stored as :MemorySnapshot nodes holding the snapshot as JSON
+const databaseStore = {
+  save: (memory, snapshot) => memory.runWriteTransaction('saveSnapshot', async (tx) => {
+    const result = await tx.run(`
+      OPTIONAL MATCH (existing:MemorySnapshot {namespace: $namespace, name: $name})
+      WITH existing WHERE existing IS NULL
+      CREATE (:MemorySnapshot {
+        namespace: $namespace,
+        name: $name,
+        createdAt: datetime($createdAt),
+        includeOntology: $includeOntology,
+        entities: $entities,
+        relations: $relations,
+        data: $data
+      })
+      RETURN true AS created
+    `, { ...summarize(snapshot), data: JSON.stringify(snapshot) });
+    if (result.records.length === 0) {
+      throw new Error(`Snapshot ${snapshot.name} already exists in namespace ${memory.namespace}`);
+    }
+  }),
+  list: async (memory) => {
+    const result = await memory.runReadTransaction('listSnapshots', (tx) => tx.run(`
+      MATCH (snapshot:MemorySnapshot {namespace: $namespace})
+      RETURN snapshot {.name, .namespace, .createdAt, .includeOntology, .entities, .relations} AS snapshot
+      ORDER BY snapshot.createdAt DESC
+    `));
+    return result.records.map(record => summarize(toPlainProperties(record.get('snapshot'))));
+  },
+  load: async (memory, name) => {
+    const result = await memory.runReadTransaction('loadSnapshot', (tx) => tx.run(`
+      MATCH (snapshot:MemorySnapshot {namespace: $namespace, name: $name})
+      RETURN snapshot.data AS data
+    `, { name }));
+    return result.records.length > 0 ? JSON.parse(result.records[0].get('data')) : null;
+  }
+};
+
+/**
+ * Builds the store keeping snapshots as JSON files, one directory per namespace
+ * @param {string} directory - The snapshot directory
+ * @returns {Object} - The store
+ */
+function createDirectoryStore(directory) {
+  const namespaceDirectory = memory => join(resolve(directory), memory.namespace);
+  const fileOf = (memory, name) => join(namespaceDirectory(memory), `${encodeURIComponent(name)}.json`);
+  return {
+    save: async (memory, snapshot) => {
+      await mkdir(namespaceDirectory(memory), { recursive: true });
+      try {
+        await writeFile(fileOf(memory, snapshot.name), JSON.stringify(snapshot), { encoding: 'utf8', flag: 'wx' });
+      } catch (error) {
+        if (error.code === 'EEXIST') {
+          throw new Error(`Snapshot ${snapshot.name} already exists in namespace ${memory.namespace}`);
+        }
+        throw error;
+      }
+    },
+    list: async (memory) => {
+      let files;
+      try {
+        files = await readdir(namespaceDirectory(memory));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const snapshots = [];
+      for (const file of files.filter(file => file.endsWith('.json'))) {
+        snapshots.push(summarize(JSON.parse(await readFile(join(namespaceDirectory(memory), file), 'utf8'))));
+      }
+      return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+    load: async (memory, name) => {
+      try {
+        return JSON.parse(await readFile(fileOf(memory, name), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Picks the snapshot store
+ * @param {string} [store] - database or directory, defaults to MEMORY_SNAPSHOT_STORE or database
+ * @param {Object} [env=process.env] - The environment variables
+ * @returns {Object} - {name, save, list, load}
+ */
+export function getSnapshotStore(store, env = process.env) {
+  const name = store || env.MEMORY_SNAPSHOT_STORE || 'database';
+  if (name === 'database') {
+    return { name, ...databaseStore };
+  }
+  if (name === 'directory') {
+    return { name, ...createDirectoryStore(env.MEMORY_SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIRECTORY) };
+  }
+  throw new Error(`Unknown snapshot store '${name}', expected database or directory`);
+}
+
+/**
+ * Main function to handle the create_snapshot tool request
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The snapshot summary
+ */
+export async function handleCreateSnapshot(memory, args) {
+  const { name, includeOntology = false, store } = args;
+  const snapshotStore = getSnapshotStore(store);
+  const snapshot = await captureSnapshot(memory, { name: checkName(name), includeOntology });
+  await snapshotStore.save(memory, snapshot);
+  return {
+    success: true,
+    store: snapshotStore.name,
+    snapshot: summarize(snapshot)
+  };
+}
+
+/**
+ * Main function to handle the list_snapshots tool request
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The snapshots of the namespace, newest first
+ */
+export async function handleListSnapshots(memory, args) {
+  const snapshotStore = getSnapshotStore(args.store);
+  return {
+    success: true,
+    store: snapshotStore.name,
+    snapshots: await snapshotStore.list(memory)
+  };
+}
+
+/**
+ * Main function to handle the restore_snapshot tool request
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - What was restored
+ */
+export async function handleRestoreSnapshot(memory, args) {
+  const { name, store, includeOntology = true } = args;
+  const snapshotStore = getSnapshotStore(store);
+  const snapshot = await snapshotStore.load(memory, checkName(name));
+  if (!snapshot) {
+    return {
+      success: false,
+      message: `Snapshot ${name} not found in namespace ${memory.namespace}`
+    };
+  }
+  const restored = await restoreSnapshot(memory, snapshot, { includeOntology });
+  return {
+    success: true,
+    message: `Restored namespace ${memory.namespace} to snapshot ${name} of ${snapshot.createdAt}`,
+    ...restored
+  };
+}
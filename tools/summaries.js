@@ -0,0 +1,80 @@
+/**
+ * Entity Summary Tool Implementation
+ *
+ * This module provides the summarize_entity tool and the summarizer Neo4jMemory uses to condense the
+ * observations of an entity into a short summary with callLLM. Neo4jMemory stores the summary on the
+ * entity and writes it again once enough observations changed (MEMORY_SUMMARY_REFRESH_THRESHOLD).
+ */
+
+const DEFAULT_MAX_WORDS = 150;
+
+/**
+ * Creates the summarizer that asks the configured LLM (LLM_API_PROVIDER, LLM_API_MODEL) for summaries
+ * The LLM client is loaded on the first summary, so a server that never summarizes doesn't need it.
+ * @param {Object} [options]
+ * @param {number} [options.maxWords=150] - Length the summary should stay within
+ * @returns {Object} - {summarize(entity)}
+ */
+export function createLLMSummarizer({ maxWords = DEFAULT_MAX_WORDS } = {}) {
+  if (!Number.isInteger(maxWords) || maxWords < 10) {
+    throw new Error(`The summary length must be an integer of at least 10 words, got ${maxWords}`);
+  }
+  return {
+    /**
+     * @param {Object} entity - {name, entityType, observations: [content]}
+     * @returns {Promise<string>} - The summary
+     */
+    summarize: async ({ name, entityType, observations }) => {
+      const { callLLM } = await import('./llm.js');
+      const prompt = `
+        You are maintaining a knowledge graph memory. Summarize what is known about the entity "${name}" (${entityType})
+        from its observations, listed in the order they were recorded.
+
+        Write at most ${maxWords} words of plain prose, without a title, lists or markdown.
+        Keep names, dates, numbers and relationships exactly as observed. Where observations contradict
+        each other, prefer the later one. Do not add anything the observations don't say.
+      `;
+      const response = await callLLM(prompt, { observations });
+      const summary = response.text.trim();
+      if (summary === '') {
+        throw new Error(`The LLM returned an empty summary for ${name}`);
+      }
+      return summary;
+    }
+  };
+}
+
+/**
+ * Creates the summarizer configured by the environment
+ * @param {Object} [env=process.env] - The environment variables
+ * @returns {Object} - The summarizer
+ */
+export function createSummarizer(env = process.env) {
+  return createLLMSummarizer({ maxWords: Number(env.MEMORY_SUMMARY_MAX_WORDS || DEFAULT_MAX_WORDS) });
+}
+
+/**
+ * Main function to handle the summarize_entity tool request
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The summary, and whether a new one was written
+ */
+export async function handleSummarizeEntity(memory, args) {
+  const { entityName, force = false } = args;
+  if (!entityName) {
+    return {
+      success: false,
+      message: 'Missing required parameter: entityName'
+    };
+  }
+  const result = await memory.summarizeEntity(entityName, { force });
+  return {
+    success: true,
+    message: result.observationCount === 0
+      ? `${result.entityName} has no observations to summarize`
+      : result.refreshed
+        ? `Summarized ${result.observationCount} observations of ${result.entityName}`
+        : `The summary of ${result.entityName} is up to date`,
+    ...result
+  };
+}
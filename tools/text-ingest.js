@@ -0,0 +1,314 @@
+/**
+ * Text Ingestion Tool Implementation
+ *
+ * This module provides the ingest_text tool. The text is sent to callLLM with an extraction prompt,
+ * the JSON it returns is validated, the extracted names are matched with existing entities, and
+ * the result is written with Neo4jMemory.applyChanges in one transaction: new entities are created,
+ * the observations about existing entities are added to them, and the relations are created.
+ * With an ontology, only the entity types and relation types it declares are accepted.
+ */
+
+import { checkSchema, validate } from '../utils/json-schema.js';
+import { toRelationshipType } from '../utils/cypher-utils.js';
+import { normalizeText } from '../utils/text-similarity.js';
+import { readOntologyStructure } from './base-ontology.js';
+import { callLLM, parseJsonResponse } from './llm.js';
+
+const MAX_TEXT_LENGTH = 20000;
+const MAX_NAME_LENGTH = 200;
+
+// What the LLM must return
+const EXTRACTION_SCHEMA = checkSchema({
+  type: 'object',
+  required: ['entities', 'relations'],
+  additionalProperties: false,
+  properties: {
+    entities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'entityType', 'observations'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+          entityType: { type: 'string', minLength: 1, maxLength: 100 },
+          observations: { type: 'array', items: { type: 'string', minLength: 1 } }
+        }
+      }
+    },
+    relations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['from', 'to', 'relationType'],
+        additionalProperties: false,
+        properties: {
+          from: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+          to: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH },
+          relationType: { type: 'string', minLength: 1, maxLength: 100 }
+        }
+      }
+    }
+  }
+});
+
+/**
+ * Builds the extraction prompt
+ * @param {Object|null} ontology - The ontology structure constraining the types, if any
+ * @returns {string} - The prompt, the text itself is passed as context
+ */
+function extractionPrompt(ontology) {
+  let prompt = `
+    You are extracting knowledge graph memories from the text given as context.
+
+    Return only a JSON object, without markdown or commentary, with exactly this structure:
+    {
+      "entities": [
+        { "name": "Ada Lovelace", "entityType": "Person", "observations": ["Wrote the first published algorithm"] }
+      ],
+      "relations": [
+        { "from": "Ada Lovelace", "to": "Analytical Engine", "relationType": "WROTE_ABOUT" }
+      ]
+    }
+
+    Rules:
+    - Extract only what the text states. Do not add outside knowledge or guesses.
+    - Name every entity by its full, most specific name as written in the text, e.g. "Ada Lovelace" rather than "she".
+    - List each entity once. Every entity used in a relation must be listed in entities.
+    - Observations are short, self-contained statements of fact about their entity, one fact each.
+    - Relation types are short verb phrases in UPPER_SNAKE_CASE, read as "from relationType to".
+    - Use empty arrays when there is nothing to extract.
+  `;
+  if (ontology) {
+    prompt += `
+    - Use only these entity types: ${ontology.entities.map(entity => JSON.stringify(entity.name)).join(', ')}.
+    - Use only these relation types: ${[...new Set(ontology.relationships.map(relationship => relationship.type))].map(type => JSON.stringify(type)).join(', ')}.
+    - Leave out entities and relations that don't fit these types.
+    `;
+  }
+  return prompt;
+}
+
+/**
+ * Gets the extraction from the LLM response and validates it
+ * @param {Object} response - {text, json?} as returned by callLLM
+ * @returns {Object} - The validated extraction, {entities, relations}
+ * @throws {Error} - If the response isn't a valid extraction
+ */
+function parseExtraction(response) {
+  const extraction = parseJsonResponse(response);
+  const errors = validate(extraction, EXTRACTION_SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(`The LLM returned an invalid extraction: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? '; ...' : ''}`);
+  }
+  return extraction;
+}
+
+/**
+ * Matches names with the live entities of the namespace, following aliases and ignoring case
+ * An exact match wins over a match differing in case.
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {string[]} names - The extracted names
+ * @returns {Promise<Map>} - Name to {name, entityType, deleted} of the entity it matches, unmatched names are left out
+ */
+async function matchExistingEntities(memory, names) {
+  const resolved = await memory.resolveEntityNames(names);
+  const result = await memory.runReadTransaction('ingestText.matchExistingEntities', (tx) => tx.run(`
+    MATCH (entity:Memory)
+    WHERE entity.namespace = $namespace AND toLower(entity.entityID) IN $keys
+    RETURN entity.entityID AS name, entity.entityType AS entityType, entity.deletedAt IS NOT NULL AS deleted
+  `, { keys: [...new Set([...resolved.values()].map(name => name.toLowerCase()))] }));
+  const entities = result.records.map(record => ({
+    name: record.get('name'),
+    entityType: record.get('entityType'),
+    deleted: record.get('deleted')
+  }));
+  const matches = new Map();
+  for (const name of names) {
+    const target = resolved.get(name);
+    const match = entities.find(entity => entity.name === target)
+      ?? entities.find(entity => !entity.deleted && entity.name.toLowerCase() === target.toLowerCase());
+    if (match) {
+      matches.set(name, match);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Turns an extraction into the changes to write, matching names with existing entities and
+ * checking types against the ontology
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} extraction - {entities, relations} as returned by parseExtraction
+ * @param {Object} options
+ * @param {string} options.source - Source recorded on the observations
+ * @param {Object|null} options.ontology - The ontology structure constraining the types, if any
+ * @returns {Promise<Object>} - {entities, observations, relations, matched, rejected}
+ */
+export async function planIngestion(memory, extraction, { source, ontology }) {
+  const rejected = [];
+  const entityTypes = ontology
+    ? new Map(ontology.entities.map(entity => [normalizeText(entity.name), entity.name]))
+    : null;
+  const relationTypes = ontology
+    ? new Set(ontology.relationships.flatMap(relationship => {
+      try {
+        return [toRelationshipType(relationship.type)];
+      } catch {
+        return [];
+      }
+    }))
+    : null;
+
+  // The same entity may be extracted more than once, its observations are merged
+  const extracted = new Map();
+  for (const entity of extraction.entities) {
+    const name = entity.name.trim();
+    const key = name.toLowerCase();
+    if (normalizeText(name) === '') {
+      rejected.push({ entity: entity.name, reason: 'The name has no letters or digits' });
+      continue;
+    }
+    if (!extracted.has(key)) {
+      extracted.set(key, { name, entityType: entity.entityType.trim(), observations: [] });
+    }
+    extracted.get(key).observations.push(...entity.observations.map(content => content.trim()).filter(content => content !== ''));
+  }
+
+  const names = [
+    ...[...extracted.values()].map(entity => entity.name),
+    ...extraction.relations.flatMap(relation => [relation.from.trim(), relation.to.trim()])
+  ];
+  const existing = await matchExistingEntities(memory, [...new Set(names)]);
+
+  const entities = [];
+  const observations = [];
+  const matched = [];
+  // Extracted names that can take part in relations, to the name of their entity
+  const accepted = new Map();
+  for (const entity of extracted.values()) {
+    const match = existing.get(entity.name);
+    const seen = new Set();
+    const contents = entity.observations.filter(content => {
+      const normalized = normalizeText(content);
+      return normalized !== '' && !seen.has(normalized) && seen.add(normalized);
+    });
+    if (match?.deleted) {
+      rejected.push({ entity: entity.name, reason: `${match.name} is in the trash, restore it first` });
+      continue;
+    }
+    if (match) {
+      // Existing entities keep their type, only their observations are added
+      matched.push({ extracted: entity.name, entityName: match.name, entityType: match.entityType });
+      accepted.set(entity.name.toLowerCase(), match.name);
+      if (contents.length > 0) {
+        observations.push({ entityName: match.name, contents, source });
+      }
+      continue;
+    }
+    const entityType = entityTypes ? entityTypes.get(normalizeText(entity.entityType)) : entity.entityType;
+    if (!entityType) {
+      rejected.push({ entity: entity.name, entityType: entity.entityType, reason: `${entity.entityType} is not an entity type of the ontology ${ontology.subject}` });
+      continue;
+    }
+    entities.push({ name: entity.name, entityType, observations: contents.map(content => ({ content, source })) });
+    accepted.set(entity.name.toLowerCase(), entity.name);
+  }
+
+  const relations = [];
+  const seenRelations = new Set();
+  for (const relation of extraction.relations) {
+    const endpoints = [relation.from.trim(), relation.to.trim()];
+    // Relations may also refer to existing entities the extraction didn't list
+    const [from, to] = endpoints.map(name => accepted.get(name.toLowerCase())
+      ?? (existing.get(name)?.deleted === false ? existing.get(name).name : undefined));
+    let relationType;
+    try {
+      relationType = toRelationshipType(relation.relationType);
+    } catch (error) {
+      rejected.push({ relation, reason: error.message });
+      continue;
+    }
+    const missing = endpoints.filter((name, i) => [from, to][i] === undefined);
+    if (missing.length > 0) {
+      rejected.push({ relation, reason: `Unknown or rejected entities: ${missing.join(', ')}` });
+    } else if (from === to) {
+      rejected.push({ relation, reason: 'A relation must link two different entities' });
+    } else if (relationTypes && !relationTypes.has(relationType)) {
+      rejected.push({ relation, reason: `${relationType} is not a relation type of the ontology ${ontology.subject}` });
+    } else if (!seenRelations.has(`${from}\u0000${relationType}\u0000${to}`)) {
+      seenRelations.add(`${from}\u0000${relationType}\u0000${to}`);
+      relations.push({ from, to, relationType });
+    }
+  }
+  return { entities, observations, relations, matched, rejected };
+}
+
+/**
+ * Main function to handle the ingest_text tool request
+ * @param {Object} memory - The Neo4jMemory instance
+ * @param {Object} args - The tool arguments
+ * @returns {Object} - The proposed changes and, unless dryRun, what was written
+ */
+export async function handleIngestText(memory, args) {
+  const { text, source = 'ingest_text', ontology: subject = null, dryRun = false } = args;
+  if (typeof text !== 'string' || text.trim() === '') {
+    return {
+      success: false,
+      message: 'Missing required parameter: text'
+    };
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return {
+      success: false,
+      message: `The text is longer than ${MAX_TEXT_LENGTH} characters, split it into parts`
+    };
+  }
+
+  let ontology = null;
+  if (subject !== null) {
+    ontology = await memory.runReadTransaction('ingestText.readOntology', (tx) => readOntologyStructure(tx, subject));
+    if (!ontology) {
+      return {
+        success: false,
+        message: `Base Ontology '${subject}' not found`
+      };
+    }
+    if (ontology.entities.length === 0) {
+      return {
+        success: false,
+        message: `Base Ontology '${ontology.subject}' declares no entity types`
+      };
+    }
+  }
+
+  const extraction = parseExtraction(await callLLM(extractionPrompt(ontology), { text }));
+  const { entities, observations, relations, matched, rejected } = await planIngestion(memory, extraction, { source, ontology });
+  const proposed = { entities, observations, relations };
+  const counts = `${entities.length} new entities, observations for ${observations.length} existing entities and ${relations.length} relations`;
+  const report = {
+    dryRun,
+    ...(ontology ? { ontology: ontology.subject } : {}),
+    proposed,
+    matched,
+    ...(rejected.length > 0 ? { rejected } : {})
+  };
+  if (dryRun || entities.length + observations.length + relations.length === 0) {
+    return {
+      success: true,
+      message: dryRun ? `Would write ${counts}` : 'Nothing to write was extracted from the text',
+      ...report
+    };
+  }
+
+  const applied = await memory.applyChanges(proposed, {
+    operation: 'ingest_text',
+    details: { source, ...(ontology ? { ontology: ontology.subject } : {}) }
+  });
+  return {
+    success: true,
+    message: `Wrote ${counts}`,
+    ...report,
+    applied
+  };
+}
@@ -35,3 +35,70 @@ export function wrapWithSecurityCheck(query, securityNodeName) {
     ${query}
   `;
 }
+
+// Relationship types used by the memory graph itself, which memory relations may not use
+const RESERVED_RELATION_TYPES = ['HAS_OBSERVATION'];
+
+/**
+ * Converts a relation type given by the user into a Neo4j relationship type
+ * e.g. "works at", "worksAt" and "works-at" all become WORKS_AT
+ * The result only contains A-Z, 0-9 and underscores, so it can be placed into a query safely
+ * @param {string} relationType - The relation type to convert
+ * @returns {string} - The relationship type
+ * @throws {Error} - If no valid relationship type can be made from it
+ */
+export function toRelationshipType(relationType) {
+  if (typeof relationType !== 'string') {
+    throw new Error(`Invalid relation type: ${JSON.stringify(relationType)}`);
+  }
+  const type = relationType
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+  if (!/^[A-Z][A-Z0-9_]{0,63}$/.test(type)) {
+    throw new Error(`Invalid relation type '${relationType}': it must start with a letter and contain at most 64 letters, digits and underscores`);
+  }
+  if (RESERVED_RELATION_TYPES.includes(type)) {
+    throw new Error(`Invalid relation type '${relationType}': ${type} is reserved for the memory graph`);
+  }
+  return type;
+}
+
+// Characters with a meaning in the Lucene query syntax used by full-text indexes
+const LUCENE_SPECIAL_CHARACTERS = /[+\-&|!(){}[\]^"~*?:\\/]/g;
+
+/**
+ * Converts a search text into a Lucene query for a Neo4j full-text index
+ * Words are matched on their own and ranked by how many match, text in double quotes is matched
+ * as a phrase. Everything else is escaped, so the text can't inject query syntax.
+ * @param {string} text - The search text, e.g. 'smith "machine learning"'
+ * @param {Object} [options]
+ * @param {boolean} [options.fuzzy=false] - Also match words within a small edit distance, e.g. misspellings
+ * @returns {string} - The Lucene query
+ * @throws {Error} - If the text holds nothing to search for
+ */
+export function toFulltextQuery(text, { fuzzy = false } = {}) {
+  if (typeof text !== 'string') {
+    throw new Error(`Invalid search query: ${JSON.stringify(text)}`);
+  }
+  const escape = value => value.replace(LUCENE_SPECIAL_CHARACTERS, '\\$&');
+  const clauses = [];
+  for (const [, phrase, word] of text.matchAll(/"([^"]*)"|(\S+)/g)) {
+    if (phrase !== undefined) {
+      if (phrase.trim()) clauses.push(`"${escape(phrase.trim())}"`);
+    } else {
+      // AND, OR and NOT are operators in Lucene, the analyzer lowercases words anyway
+      const term = escape(/^(AND|OR|NOT)$/.test(word) ? word.toLowerCase() : word);
+      clauses.push(fuzzy ? `${term}~` : term);
+    }
+  }
+  if (clauses.length === 0) {
+    throw new Error('Search query must not be empty');
+  }
+  return clauses.join(' ');
+}
@@ -0,0 +1,150 @@
+/**
+ * A JSON Schema validator for the property schemas of entity types
+ *
+ * Supports the keywords that describe flat property maps: type, enum, const, required, properties,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+ * exclusiveMinimum and exclusiveMaximum. Annotations such as title and description are ignored.
+ * checkSchema rejects any other keyword, so a schema never silently validates less than it says.
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'];
+
+const ANNOTATIONS = ['$schema', '$id', 'title', 'description', 'default', 'examples', '$comment'];
+
+// Checks of each keyword against the schema value, returning an error message or null
+const KEYWORDS = {
+  type: (value, type) => {
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(t => matchesType(value, t)) ? null : `must be ${types.join(' or ')}`;
+  },
+  enum: (value, options) => options.some(option => equal(value, option))
+    ? null
+    : `must be one of ${options.map(option => JSON.stringify(option)).join(', ')}`,
+  const: (value, expected) => equal(value, expected) ? null : `must be ${JSON.stringify(expected)}`,
+  minLength: (value, min) => typeof value === 'string' && [...value].length < min ? `must have at least ${min} characters` : null,
+  maxLength: (value, max) => typeof value === 'string' && [...value].length > max ? `must have at most ${max} characters` : null,
+  pattern: (value, pattern) => typeof value === 'string' && !new RegExp(pattern, 'u').test(value) ? `must match ${pattern}` : null,
+  minimum: (value, min) => typeof value === 'number' && value < min ? `must be at least ${min}` : null,
+  maximum: (value, max) => typeof value === 'number' && value > max ? `must be at most ${max}` : null,
+  exclusiveMinimum: (value, min) => typeof value === 'number' && value <= min ? `must be above ${min}` : null,
+  exclusiveMaximum: (value, max) => typeof value === 'number' && value >= max ? `must be below ${max}` : null,
+  minItems: (value, min) => Array.isArray(value) && value.length < min ? `must have at least ${min} items` : null,
+  maxItems: (value, max) => Array.isArray(value) && value.length > max ? `must have at most ${max} items` : null
+};
+
+// Keywords holding subschemas, validated by validate itself
+const STRUCTURE_KEYWORDS = ['required', 'properties', 'additionalProperties', 'items'];
+
+/**
+ * Tells whether a value is of a JSON Schema type
+ * @param {*} value - The value
+ * @param {string} type - The type
+ * @returns {boolean} - True if it is
+ */
+function matchesType(value, type) {
+  switch (type) {
+  case 'integer': return Number.isInteger(value);
+  case 'number': return typeof value === 'number' && Number.isFinite(value);
+  case 'array': return Array.isArray(value);
+  case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+  case 'null': return value === null;
+  default: return typeof value === type;
+  }
+}
+
+/**
+ * Compares two JSON values
+ * @param {*} a - A value
+ * @param {*} b - Another value
+ * @returns {boolean} - True if they are equal
+ */
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Checks that a schema only uses the supported keywords with values of the right kind
+ * @param {Object} schema - The schema
+ * @param {string} [path=''] - Where the schema is, used in error messages
+ * @returns {Object} - The schema
+ * @throws {Error} - If the schema can't be used
+ */
+export function checkSchema(schema, path = '') {
+  const where = path || 'the schema';
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    throw new Error(`Invalid JSON Schema: ${where} must be an object`);
+  }
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (ANNOTATIONS.includes(keyword)) continue;
+    if (!KEYWORDS[keyword] && !STRUCTURE_KEYWORDS.includes(keyword)) {
+      throw new Error(`Invalid JSON Schema: unsupported keyword '${keyword}' in ${where}`);
+    }
+    if (keyword === 'type' && ![value].flat().every(type => TYPES.includes(type))) {
+      throw new Error(`Invalid JSON Schema: unknown type ${JSON.stringify(value)} in ${where}`);
+    }
+    if ((keyword === 'enum' || keyword === 'required') && !Array.isArray(value)) {
+      throw new Error(`Invalid JSON Schema: ${keyword} must be an array in ${where}`);
+    }
+    if (keyword === 'pattern') {
+      try {
+        new RegExp(value, 'u');
+      } catch (error) {
+        throw new Error(`Invalid JSON Schema: ${error.message} in ${where}`);
+      }
+    }
+    if (keyword.startsWith('min') || keyword.startsWith('max') || keyword.startsWith('exclusive')) {
+      if (typeof value !== 'number') {
+        throw new Error(`Invalid JSON Schema: ${keyword} must be a number in ${where}`);
+      }
+    }
+  }
+  for (const [name, property] of Object.entries(schema.properties ?? {})) {
+    checkSchema(property, `${path}/${name}`);
+  }
+  if (typeof schema.additionalProperties === 'object') {
+    checkSchema(schema.additionalProperties, `${path}/*`);
+  }
+  if (schema.items !== undefined) {
+    checkSchema(schema.items, `${path}/[]`);
+  }
+  return schema;
+}
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - The value
+ * @param {Object} schema - A schema accepted by checkSchema
+ * @param {string} [path=''] - Where the value is, used in error messages
+ * @returns {string[]} - The errors, e.g. "/email: must be string", empty when the value is valid
+ */
+export function validate(value, schema, path = '') {
+  const errors = [];
+  const where = path ? `${path}: ` : '';
+  for (const [keyword, check] of Object.entries(KEYWORDS)) {
+    if (schema[keyword] === undefined) continue;
+    const message = check(value, schema[keyword]);
+    if (message) errors.push(`${where}${message}`);
+  }
+  if (matchesType(value, 'object')) {
+    for (const name of schema.required ?? []) {
+      if (value[name] === undefined || value[name] === null) {
+        errors.push(`${where}missing required property '${name}'`);
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      const propertySchema = schema.properties?.[name];
+      if (propertySchema) {
+        errors.push(...validate(propertyValue, propertySchema, `${path}/${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}/${name}: is not an allowed property`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(propertyValue, schema.additionalProperties, `${path}/${name}`));
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}/${index}`)));
+  }
+  return errors;
+}
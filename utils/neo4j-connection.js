@@ -0,0 +1,38 @@
+/**
+ * Neo4j connection settings shared by the MCP server and the command line tools
+ */
+
+import { driver as connectToNeo4j, auth as Neo4jAuth } from 'neo4j-driver';
+
+/**
+ * Returns the configured database name
+ * @returns {string} - The value of NEO4J_DATABASE, or 'neo4j' when it is not set
+ */
+export function getDatabaseName() {
+  return process.env.NEO4J_DATABASE?.trim() || 'neo4j';
+}
+
+/**
+ * Creates a Neo4j driver from the NEO4J_* environment variables
+ * Exits the process when the connection settings are missing
+ * @returns {Object} - The Neo4j driver
+ */
+export function createNeo4jDriver() {
+  // Check if Neo4j environment variables are defined
+  if (!process.env.NEO4J_URI) {
+    console.error('Error: NEO4J_URI environment variable is not defined');
+    console.error('Please set NEO4J_URI in your environment or create a .env file');
+    process.exit(1);
+  }
+
+  if (!process.env.NEO4J_USER || !process.env.NEO4J_PASSWORD) {
+    console.error('Error: NEO4J_USER or NEO4J_PASSWORD environment variables are not defined');
+    console.error('Please set both in your environment or create a .env file');
+    process.exit(1);
+  }
+
+  return connectToNeo4j(
+    process.env.NEO4J_URI,
+    Neo4jAuth.basic(process.env.NEO4J_USER, process.env.NEO4J_PASSWORD)
+  );
+}
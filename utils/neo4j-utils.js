@@ -0,0 +1,42 @@
+/**
+ * Utility functions for converting Neo4j driver values into plain JavaScript values
+ */
+
+import { isDateTime, isDate, isLocalDateTime, isInt } from 'neo4j-driver';
+
+/**
+ * Converts a single Neo4j value (Integer, DateTime, list, map) into a plain JavaScript value
+ * @param {*} value - The value returned by the Neo4j driver
+ * @returns {*} - A JSON friendly representation of the value
+ */
+export function toPlainValue(value) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (isInt(value)) {
+    return value.inSafeRange() ? value.toNumber() : value.toString();
+  }
+  if (isDateTime(value) || isDate(value) || isLocalDateTime(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  if (typeof value === 'object' && value.constructor === Object) {
+    return toPlainProperties(value);
+  }
+  return value;
+}
+
+/**
+ * Converts the properties of a node or relationship into plain JavaScript values
+ * @param {Object} properties - The properties map from the Neo4j driver
+ * @returns {Object} - A new object holding the converted properties
+ */
+export function toPlainProperties(properties = {}) {
+  const plain = {};
+  for (const [key, value] of Object.entries(properties)) {
+    plain[key] = toPlainValue(value);
+  }
+  return plain;
+}
@@ -0,0 +1,56 @@
+/**
+ * Utilities for reading the ontology graph built by create_base_ontology
+ *
+ * A :BaseOntology node keeps the ontology it was generated from as JSON in its structure property:
+ * {entities: [{name, type, description}], relationships: [{from, type, to}], ...}. Its classes are
+ * :OntologyEntity nodes named with the "(OE): " prefix, and the ontologies themselves are referred
+ * to by subject, which tools may be given with the "(BO): " prefix. Classes form a hierarchy through
+ * PARENT_OF relationships from parent to child and CHILD_OF relationships from child to parent.
+ */
+
+// Deepest class hierarchy followed through PARENT_OF and CHILD_OF
+export const MAX_HIERARCHY_DEPTH = 10;
+
+/**
+ * Strips the "(OE): " prefix from an ontology class name
+ * @param {string} name - The class name
+ * @returns {string} - The name without prefix
+ */
+export function toClassName(name) {
+  return String(name).replace(/^\(OE\): /, '');
+}
+
+/**
+ * Strips the "(BO): " prefix from a Base Ontology subject
+ * @param {string} subject - The subject
+ * @returns {string} - The subject without prefix
+ */
+export function toOntologySubject(subject) {
+  return String(subject).replace(/^\(BO\): /, '');
+}
+
+/**
+ * Parses the structure property of a Base Ontology into its entities and relationships
+ * Entries without a name, or relationships missing an end or type, are left out.
+ * @param {string} subject - The subject of the ontology, used in the error message
+ * @param {string|null} json - The structure property
+ * @returns {Object} - {subject, entities: [{name, type, description}], relationships: [{from, type, to}]}
+ * @throws {Error} - If the structure is not valid JSON
+ */
+export function parseOntologyStructure(subject, json) {
+  let structure;
+  try {
+    structure = JSON.parse(json ?? '{}') ?? {};
+  } catch (error) {
+    throw new Error(`The structure of Base Ontology '${subject}' is not valid JSON: ${error.message}`);
+  }
+  return {
+    subject,
+    entities: (Array.isArray(structure.entities) ? structure.entities : [])
+      .filter(entity => entity?.name)
+      .map(entity => ({ name: toClassName(entity.name), type: entity.type ?? null, description: entity.description ?? null })),
+    relationships: (Array.isArray(structure.relationships) ? structure.relationships : [])
+      .filter(relationship => relationship?.from && relationship?.type && relationship?.to)
+      .map(relationship => ({ from: toClassName(relationship.from), type: relationship.type, to: toClassName(relationship.to) }))
+  };
+}
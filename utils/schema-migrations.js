@@ -0,0 +1,186 @@
+/**
+ * Versioned schema migrations for the memory graph
+ *
+ * Each migration creates or changes constraints, indexes and, where needed, data with idempotent
+ * statements (IF NOT EXISTS / IF EXISTS, or updates that skip migrated nodes), so running it twice is harmless. The version of the last
+ * applied migration is stored on a single :SchemaVersion node.
+ */
+
+import { int } from 'neo4j-driver';
+
+// Identifies the :SchemaVersion node of the memory graph
+const SCHEMA_ID = 'memory';
+
+/**
+ * Builds the statements creating the vector indexes used by semantic search
+ * A vector index has a fixed number of dimensions, so changing the embedding provider means
+ * dropping and recreating them, see Neo4jMemory.reindexEmbeddings
+ * @param {number} dimensions - Length of the embedding vectors
+ * @returns {string[]} - The statements
+ */
+export function vectorIndexStatements(dimensions) {
+  if (!Number.isInteger(dimensions) || dimensions <= 0) {
+    throw new Error(`Invalid number of embedding dimensions: ${dimensions}`);
+  }
+  const options = `OPTIONS {indexConfig: {\`vector.dimensions\`: ${dimensions}, \`vector.similarity_function\`: 'cosine'}}`;
+  return [
+    `CREATE VECTOR INDEX memory_embedding IF NOT EXISTS FOR (entity:Memory) ON (entity.embedding) ${options}`,
+    `CREATE VECTOR INDEX observation_embedding IF NOT EXISTS FOR (observation:Observation) ON (observation.embedding) ${options}`
+  ];
+}
+
+/**
+ * Migrations in the order they are applied. Never change a released migration, add a new one instead.
+ * A migration may have a `check` function that runs before its statements and throws when they can't succeed.
+ * Its statements are either a list or a function building the list from the migration options.
+ */
+export const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Unique entity IDs and indexes for entity, observation, history and ontology lookups',
+    check: async (session) => {
+      const result = await session.run(`
+        MATCH (entity:Memory)
+        WITH entity.entityID AS entityID, count(*) AS copies
+        WHERE copies > 1
+        RETURN collect(entityID)[..10] AS duplicates
+      `);
+      const duplicates = result.records[0].get('duplicates');
+      if (duplicates.length > 0) {
+        throw new Error(`Entity IDs are not unique, merge or delete the duplicates first: ${duplicates.join(', ')}`);
+      }
+    },
+    statements: [
+      'CREATE CONSTRAINT schema_version_id IF NOT EXISTS FOR (schema:SchemaVersion) REQUIRE schema.id IS UNIQUE',
+      'CREATE CONSTRAINT memory_entity_id IF NOT EXISTS FOR (entity:Memory) REQUIRE entity.entityID IS UNIQUE',
+      'CREATE INDEX memory_name IF NOT EXISTS FOR (entity:Memory) ON (entity.name)',
+      'CREATE INDEX memory_entity_type IF NOT EXISTS FOR (entity:Memory) ON (entity.entityType)',
+      'CREATE INDEX observation_id IF NOT EXISTS FOR (observation:Observation) ON (observation.id)',
+      'CREATE INDEX entity_change_entity_version IF NOT EXISTS FOR (change:EntityChange) ON (change.entityName, change.version)',
+      'CREATE INDEX base_ontology_subject IF NOT EXISTS FOR (ontology:BaseOntology) ON (ontology.subject)',
+      'CREATE INDEX security_node_name IF NOT EXISTS FOR (security:SecurityNode) ON (security.name)'
+    ]
+  },
+  {
+    version: 2,
+    description: 'Full-text indexes for search_nodes over entity names and types and observation contents',
+    statements: [
+      'CREATE FULLTEXT INDEX memory_fulltext IF NOT EXISTS FOR (entity:Memory) ON EACH [entity.name, entity.entityType]',
+      'CREATE FULLTEXT INDEX observation_fulltext IF NOT EXISTS FOR (observation:Observation) ON EACH [observation.content]'
+    ]
+  },
+  {
+    version: 3,
+    description: 'Vector indexes for semantic_search over entity and observation embeddings',
+    // Vector indexes need Neo4j 5.11, so without embeddings they are left to reindex-embeddings
+    statements: ({ embeddingDimensions }) => embeddingDimensions ? vectorIndexStatements(embeddingDimensions) : []
+  },
+  {
+    version: 4,
+    description: 'Namespaces: existing entities and history move to the default namespace, entity IDs are unique per namespace',
+    statements: [
+      `MATCH (entity:Memory)
+       WHERE entity.namespace IS NULL
+       SET entity.namespace = 'default'`,
+      `MATCH (change:EntityChange)
+       WHERE change.namespace IS NULL
+       SET change.namespace = 'default'`,
+      'CREATE CONSTRAINT memory_namespace_entity_id IF NOT EXISTS FOR (entity:Memory) REQUIRE (entity.namespace, entity.entityID) IS UNIQUE',
+      'DROP CONSTRAINT memory_entity_id IF EXISTS',
+      'CREATE INDEX entity_change_namespace_entity_version IF NOT EXISTS FOR (change:EntityChange) ON (change.namespace, change.entityName, change.version)',
+      'DROP INDEX entity_change_entity_version IF EXISTS'
+    ]
+  },
+  {
+    version: 5,
+    description: 'Snapshot names are unique per namespace',
+    statements: [
+      'CREATE CONSTRAINT memory_snapshot_namespace_name IF NOT EXISTS FOR (snapshot:MemorySnapshot) REQUIRE (snapshot.namespace, snapshot.name) IS UNIQUE'
+    ]
+  },
+  {
+    version: 6,
+    description: 'Entity type names are unique per namespace',
+    statements: [
+      'CREATE CONSTRAINT entity_type_namespace_name IF NOT EXISTS FOR (type:EntityType) REQUIRE (type.namespace, type.name) IS UNIQUE'
+    ]
+  },
+  {
+    version: 7,
+    description: 'Index on ontology class names for find_instances',
+    statements: [
+      'CREATE INDEX ontology_entity_name IF NOT EXISTS FOR (class:OntologyEntity) ON (class.name)'
+    ]
+  }
+];
+
+// The schema version this code expects
+export const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+/**
+ * Reads the schema version recorded in the database
+ * @param {Object} session - A session on the memory database
+ * @returns {Promise<number>} - The applied version, 0 when no migration has been applied yet
+ */
+export async function getSchemaVersion(session) {
+  const result = await session.run(
+    'MATCH (schema:SchemaVersion {id: $id}) RETURN schema.version AS version',
+    { id: SCHEMA_ID }
+  );
+  const version = result.records[0]?.get('version');
+  return version === undefined || version === null ? 0 : Number(version);
+}
+
+/**
+ * Brings the schema of the memory database up to CURRENT_SCHEMA_VERSION
+ * Schema statements can't share a transaction with data writes, so every statement runs on its own
+ * and the version is recorded after each migration; an interrupted run continues where it stopped.
+ * @param {Object} neo4jDriver - The Neo4j driver
+ * @param {string} database - The memory database
+ * @param {Object} [options]
+ * @param {boolean} [options.apply=true] - Apply pending migrations, when false only the version is checked
+ * @param {number|null} [options.embeddingDimensions=null] - Length of the vectors of the configured embedding provider, null when embeddings are disabled
+ * @returns {Promise<Object>} - {previousVersion, version, applied: [{version, description}], pending}
+ * @throws {Error} - If the database has a newer schema than this code supports
+ */
+export async function applySchemaMigrations(neo4jDriver, database, {
+  apply = true,
+  embeddingDimensions = null
+} = {}) {
+  const session = neo4jDriver.session({ database });
+  try {
+    const previousVersion = await getSchemaVersion(session);
+    if (previousVersion > CURRENT_SCHEMA_VERSION) {
+      throw new Error(`The database schema is at version ${previousVersion}, but this server only supports up to version ${CURRENT_SCHEMA_VERSION}. Upgrade the server before using this database.`);
+    }
+
+    const pending = SCHEMA_MIGRATIONS.filter(migration => migration.version > previousVersion);
+    if (!apply) {
+      return { previousVersion, version: previousVersion, applied: [], pending: pending.map(m => m.version) };
+    }
+
+    const applied = [];
+    for (const migration of pending) {
+      console.error(`Applying schema migration ${migration.version}: ${migration.description}`);
+      if (migration.check) {
+        await migration.check(session);
+      }
+      const statements = typeof migration.statements === 'function'
+        ? migration.statements({ embeddingDimensions })
+        : migration.statements;
+      for (const statement of statements) {
+        await session.run(statement);
+      }
+      await session.run(`
+        MERGE (schema:SchemaVersion {id: $id})
+        SET schema.version = $version,
+            schema.updatedAt = datetime({timezone: 'UTC'})
+      `, { id: SCHEMA_ID, version: int(migration.version) });
+      applied.push({ version: migration.version, description: migration.description });
+    }
+
+    return { previousVersion, version: CURRENT_SCHEMA_VERSION, applied, pending: [] };
+  } finally {
+    await session.close();
+  }
+}
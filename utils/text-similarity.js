@@ -0,0 +1,79 @@
+/**
+ * Utility functions for comparing observation texts, used to detect near-duplicate observations
+ */
+
+// How observations are compared beyond their normalized text, and the score at which two count as near-duplicates
+export const SIMILARITY_METHODS = {
+  none: null,
+  lexical: 0.8,
+  embedding: 0.9
+};
+
+// What happens to an observation that is a near-duplicate of an existing one
+export const SIMILARITY_ACTIONS = ['flag', 'reject'];
+
+/**
+ * Normalizes a text for comparison: case, Unicode compatibility forms and accents, punctuation and whitespace
+ * "Likes  Coffee." and "likes coffee" normalize to the same text.
+ * @param {string} text - The text
+ * @returns {string} - The normalized text, words separated by single spaces
+ */
+export function normalizeText(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Counts the character bigrams of a text
+ * @param {string} text - A normalized text
+ * @returns {Map} - Bigram to the number of times it occurs
+ */
+function bigrams(text) {
+  const counts = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const bigram = text.slice(i, i + 2);
+    counts.set(bigram, (counts.get(bigram) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Dice coefficient of the character bigrams of two normalized texts
+ * Small edits such as a plural or a typo keep the score high, different wording lowers it.
+ * @param {string} a - A normalized text
+ * @param {string} b - Another normalized text
+ * @returns {number} - The similarity, from 0 to 1
+ */
+export function lexicalSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const countsA = bigrams(a);
+  const countsB = bigrams(b);
+  let shared = 0;
+  for (const [bigram, count] of countsA) {
+    shared += Math.min(count, countsB.get(bigram) || 0);
+  }
+  return (2 * shared) / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * Cosine similarity of two vectors of the same length
+ * @param {number[]} a - A vector
+ * @param {number[]} b - Another vector
+ * @returns {number} - The similarity, from -1 to 1, 0 if either vector is zero
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let lengthA = 0;
+  let lengthB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    lengthA += a[i] * a[i];
+    lengthB += b[i] * b[i];
+  }
+  return lengthA > 0 && lengthB > 0 ? dot / Math.sqrt(lengthA * lengthB) : 0;
+}